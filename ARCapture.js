@@ -0,0 +1,170 @@
+// Stills and short clips of the AR view for visitors to share. ARFeatureMatcher.captureStill and
+// recordClip produce the Blobs with the helpers below, shareCapture hands them to the Web Share API
+// or downloads them where sharing files is not supported.
+
+// WebM in order of preference; browsers without WebM recording (Safari) use their own format
+const CLIP_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const CLIP_FRAME_RATE = 30;
+const STILL_MIME_TYPE = "image/jpeg";
+const STILL_QUALITY = 0.92;
+
+// Branding in the bottom right corner, sized by the shorter side of the capture
+const BRANDING_LOGO_HEIGHT_RATIO = 0.1;
+const BRANDING_MARGIN_RATIO = 0.03;
+const BRANDING_TEXT = "IZZY WEISSGERBER";
+// izzy_logo.svg only has a viewBox, which some browsers do not report as its natural size
+const BRANDING_LOGO_ASPECT_RATIO = 383.38 / 922.47;
+
+function loadBrandingLogo(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Branding logo ${url} could not be loaded`));
+    image.src = url;
+  });
+}
+
+// Draw the logo and the artist's name on a light panel, readable on any camera picture
+function drawBranding(context, width, height, logo) {
+  try {
+    const shorterSide = Math.min(width, height);
+    const logoHeight = Math.round(shorterSide * BRANDING_LOGO_HEIGHT_RATIO);
+    const aspectRatio =
+      logo.naturalWidth && logo.naturalHeight
+        ? logo.naturalWidth / logo.naturalHeight
+        : BRANDING_LOGO_ASPECT_RATIO;
+    const logoWidth = Math.round(logoHeight * aspectRatio);
+    const padding = Math.round(logoHeight * 0.15);
+    const fontSize = Math.round(logoHeight * 0.22);
+
+    context.save();
+    context.font = `bold ${fontSize}px Arial`;
+    const textWidth = context.measureText(BRANDING_TEXT).width;
+    const panelWidth = padding * 3 + logoWidth + textWidth;
+    const panelHeight = logoHeight + padding * 2;
+    const margin = Math.round(shorterSide * BRANDING_MARGIN_RATIO);
+    const x = width - margin - panelWidth;
+    const y = height - margin - panelHeight;
+
+    context.fillStyle = "rgba(255, 255, 255, 0.8)";
+    context.fillRect(x, y, panelWidth, panelHeight);
+    context.drawImage(logo, x + padding, y + padding, logoWidth, logoHeight);
+    context.fillStyle = "#000";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+    context.fillText(BRANDING_TEXT, x + padding * 2 + logoWidth, y + panelHeight / 2);
+    context.restore();
+  } catch (error) {
+    logError('drawBranding', error);
+  }
+}
+
+function canvasToStillBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("The still could not be encoded"))),
+      STILL_MIME_TYPE,
+      STILL_QUALITY
+    );
+  });
+}
+
+// Records a canvas with MediaRecorder until stop() or maxDuration milliseconds
+class ClipRecorder {
+  static isSupported() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.captureStream === "function"
+    );
+  }
+
+  constructor(canvas, maxDuration) {
+    try {
+      this.canvas = canvas;
+      this.maxDuration = maxDuration;
+      this.mimeType = CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+      this.recorder = null;
+      this.stopTimeout = null;
+      this.stopRequested = false; // stop() may come before start()
+    } catch (error) {
+      logError('ClipRecorder.constructor', error);
+    }
+  }
+
+  get recording() {
+    return this.recorder !== null && this.recorder.state === "recording";
+  }
+
+  // Resolves with the clip once the recording has stopped
+  start() {
+    return new Promise((resolve, reject) => {
+      if (this.stopRequested) {
+        reject(new Error("The clip was stopped before it started"));
+        return;
+      }
+      const stream = this.canvas.captureStream(CLIP_FRAME_RATE);
+      const chunks = [];
+      this.recorder = new MediaRecorder(stream, this.mimeType ? { mimeType: this.mimeType } : {});
+      this.recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      this.recorder.onstop = () => {
+        clearTimeout(this.stopTimeout);
+        stream.getTracks().forEach((track) => track.stop());
+        const type = this.recorder.mimeType || this.mimeType || "video/webm";
+        this.recorder = null;
+        if (chunks.length === 0) {
+          reject(new Error("The clip recorded no frames"));
+        } else {
+          resolve(new Blob(chunks, { type: type }));
+        }
+      };
+      this.recorder.onerror = (event) => {
+        logError('ClipRecorder.start - recorder.onerror', event.error);
+      };
+      this.recorder.start();
+      this.stopTimeout = setTimeout(() => this.stop(), this.maxDuration);
+    });
+  }
+
+  stop() {
+    this.stopRequested = true;
+    if (this.recording) {
+      this.recorder.stop();
+    }
+  }
+}
+
+// File name extension of a captured Blob
+function getCaptureExtension(blob) {
+  if (blob.type.startsWith("image/")) return blob.type === "image/png" ? "png" : "jpg";
+  return blob.type.startsWith("video/mp4") ? "mp4" : "webm";
+}
+
+// Share a capture with the Web Share API, or download it where files cannot be shared
+// Resolves with "shared", "cancelled" or "downloaded"
+async function shareCapture(blob, baseName, title) {
+  const fileName = `${baseName}.${getCaptureExtension(blob)}`;
+  const file = new File([blob], fileName, { type: blob.type });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: title });
+      return "shared";
+    } catch (error) {
+      if (error.name === "AbortError") return "cancelled";
+      // NotAllowedError: the user activation expired while the capture was encoded
+      console.warn("Sharing failed, downloading the capture instead:", error);
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers only start reading the URL after the click has returned
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+  return "downloaded";
+}
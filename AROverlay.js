@@ -1,78 +1,102 @@
-// Global function to log errors
+// The AR view as an ES module, used by IzzyMotion.js and by other sites that embed the overlay.
+// The module loads OpenCV.js and the other classic scripts itself, from the folder it is served from.
+//
+// ARFeatureMatcher dispatches these events, with their data in event.detail:
+//   ready          Everything is loaded and the camera picture is drawn  { markers: [{ id, name }] }
+//   markerfound    The overlay is shown on a marker                      { markerId, name }
+//   markerlost     The marker shown before is no longer tracked          { markerId, name }
+//   qualitychange  The rolling average match quality changed             { quality, markerId, name }
+//   framerendered  A camera frame has been drawn                         { markerId, markerVisible, tracking }
+//   qualitysettingschange
+//                  The processing width, frame threshold or detection interval was adapted
+//                  { reason, frameRate, quality, width, thresholdFactor, detectionInterval, ... }
+//   statuschange   The state shown to the visitor changed, see ARStatus.js
+//                  { state, blocking, action, actionLabel, title, detail, error }
+//   error          An error was logged by any of the scripts             { methodName, error }
+
+// Folder of this module, the scripts, the worker and the artwork folders are loaded from there
+const MODULE_BASE_URL = new URL(".", import.meta.url).href;
+
+// Classic scripts the AR view needs, in the order they depend on each other
+const DEPENDENCIES = [
+  "ArtworkConfig.js",
+  "ARStatus.js",
+  "AnimationClock.js",
+  "OverlayFrameLoader.js",
+  "OverlaySources.js",
+  "OverlayRenderer.js",
+  "CameraSources.js",
+  "MarkerRegistry.js",
+  "OpticalFlowTracker.js",
+  "HomographySmoother.js",
+  "HomographyValidator.js",
+  "DebugOverlay.js",
+  "MarkerFeatures.js",
+  "OpenCVObjectCounter.js",
+  "FeatureDetectors.js",
+  "FeaturePipeline.js",
+  "PipelineRunners.js",
+  "QualityController.js",
+  "ARCapture.js",
+  "TuningPanel.js",
+];
+
+// Matchers that receive the errors of every script as "error" events
+const activeMatchers = new Set();
+
+// Global function to log errors, the classic scripts call it by name
 function logError(methodName, error) {
   console.error(`Error in ${methodName}:`, error);
-
-  // Get or create the ErrorLog div
-  let errorDiv = document.getElementById('ErrorLog');
-    errorDiv.id = 'ErrorLog';
-
-  // Append the error message and stack trace
-  errorDiv.innerHTML += `<p>Error in ${methodName}: ${error.message}<br>${error.stack}<br></p>`;
-}
-
-class FrameData {
-  constructor(width, height) {
-    try {
-      // Initialize reusable Mats for downscaled processing resolution
-      this.srcMat = new cv.Mat(height, width, cv.CV_8UC4);
-      this.grayMat = new cv.Mat(height, width, cv.CV_8UC1);
-      this.keypoints = new cv.KeyPointVector();
-      this.descriptors = new cv.Mat();
-      this.goodMatches = new cv.DMatchVector();
-      this.transformationMatrix = null;
-      this.qualityIndicator = null;
-    } catch (error) {
-      logError('FrameData.constructor', error);
-    }
-  }
-
-  update(imageData) {
-    try {
-      // Update srcMat with new image data
-      this.srcMat.data.set(imageData.data);
-
-      // Convert to grayscale for feature detection
-      cv.cvtColor(this.srcMat, this.grayMat, cv.COLOR_BGRA2GRAY);
-
-      // Clear and reinitialize keypoints and descriptors
-      this.keypoints = new cv.KeyPointVector();
-      this.descriptors.delete();
-      this.descriptors = new cv.Mat();
-      this.goodMatches = new cv.DMatchVector(); // Clear matches
-    } catch (error) {
-      logError('FrameData.update', error);
-    }
+  for (const matcher of activeMatchers) {
+    matcher.dispatchEvent(new CustomEvent("error", { detail: { methodName, error } }));
   }
-
-  setQualityIndicator(qualityValue) {
-    try {
-      this.qualityIndicator = qualityValue;
-    } catch (error) {
-      logError('FrameData.setQualityIndicator', error);
-    }
+}
+globalThis.logError = logError;
+
+let dependenciesLoaded = null;
+
+// Load OpenCV.js and the classic scripts once, resolves when all of them have run
+export function loadDependencies() {
+  if (!dependenciesLoaded) {
+    dependenciesLoaded = Promise.all([
+      // OpenCV.js is large and only needed once initializeOpenCV waits for it
+      loadScript("opencv.js", true),
+      ...DEPENDENCIES.map((fileName) => loadScript(fileName, false)),
+    ]);
   }
+  return dependenciesLoaded;
+}
 
-  // Clean up Mats when no longer needed
-  delete() {
-    try {
-      this.srcMat.delete();
-      this.grayMat.delete();
-      this.keypoints.delete();
-      this.descriptors.delete();
-      this.goodMatches.delete();
-    } catch (error) {
-      logError('FrameData.delete', error);
-    }
-  }
+// Scripts added with async = false still run in the order they were added
+function loadScript(fileName, async) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = new URL(fileName, MODULE_BASE_URL).href;
+    script.async = async;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`${script.src} could not be loaded`));
+    document.head.appendChild(script);
+  });
 }
 
-class ARFeatureMatcher {
-  constructor(canvas, referenceImageUrl, overlayImagePath) {
+export class ARFeatureMatcher extends EventTarget {
+  // options.sourceUrl replaces the camera with a recorded video or a still image
+  // options.cameraSelect and options.cameraFileInput are the <select> and <input type="file">
+  // of the camera switcher, there is no switcher without them
+  // options.locale picks the language of the visitor messages, navigator.languages by default
+  // options.brandingLogoUrl replaces Assets/izzy_logo.svg on captured stills and clips
+  // options.debug draws keypoints, matches, inliers, the marker outline and a HUD of timings on the canvas
+  // options.countOpenCVObjects counts the live OpenCV objects of every frame to find leaks, see getMemoryDiagnostics
+  constructor(canvas, artworkConfigs, options = {}) {
+    super();
     try {
-      // The higher, the more features are detected which leads to more matches but also more false positives
+      // Detector of the marker and frame features: AKAZE, ORB or BRISK, see FeatureDetectors.js
+      // It and the other DETECTOR_SETTING_KEYS are the defaults of the markers, see detectorSettings
+      this.featureDetector = DEFAULT_FEATURE_DETECTOR;
+      // Threshold of the featureDetector in its own unit: the lower, the more features are detected which leads to more matches but also more false positives
       this.featureDetectionSensitivity = 0.0005;
-      // The larger, the more accurate the matches but also the more time needs the method "this.featureDetector.detectAndCompute()" which is the most time consuming method
-      this.initialProcessingCanvasWidth = 100;
+      // The larger, the more accurate the matches but also the more time needs the detector's "detectAndCompute()", which is the most time consuming method
+      this.initialProcessingCanvasWidth = 320;
 
       // PERFORMANCE AND QUALITY SETTINGS
       // Configurable canvas size for processing
@@ -94,14 +118,53 @@ class ARFeatureMatcher {
       this.minFrameRate = 7; // Minimum frame rate
 
       this.minProcessingCanvasWidth = 250; // Minimum processing canvas width
+      this.maxProcessingCanvasWidth = 640; // Maximum processing canvas width
       this.processingCanvasWidthStep = 20; // Amount to increase/decrease width per adjustment
+      // Highest AKAZE threshold for the frames when detection is too slow (fewer keypoints, faster matching)
+      this.maxFeatureDetectionSensitivity = 0.002;
+      // Most frames tracked between full detections when detection is too slow, maxTrackedFrames is the least
+      this.maxDetectionInterval = 180;
+      this.qualitySettlingFrames = 10; // Detection frames to measure after a change before the next one
 
       this.nFramesForAveraging = 6; // This can be adjusted as needed
-      this.qualityHistory = []; // To store recent quality indicators
-      this.averageQualityIndicator = 0; // The rolling average of quality indicators
+      this.averageQualityIndicator = 0; // The rolling average of quality indicators, computed by the pipeline
 
       this.desiredZoomFactor = 2; // Desired zoom factor for the camera
 
+      // Optical flow tracking between full detections
+      this.trackingEnabled = true; // Follow the marker with optical flow after a successful detection
+      this.minTrackedPoints = 15; // Fewer tracked points than this trigger a new detection
+      this.maxTrackingReprojectionError = 3; // Drift in processing pixels that triggers a new detection
+      this.maxTrackedFrames = 60; // Run a full detection at least this often
+
+      // Sanity checks of the homography before the overlay is drawn
+      this.minInlierCount = 8; // Minimum number of RANSAC inliers
+      this.minInlierRatio = 0.3; // Minimum fraction of the good matches that are RANSAC inliers
+      this.minMarkerAreaRatio = 0.005; // Smallest marker area, as a fraction of the frame area
+      this.maxMarkerAreaRatio = 4; // Largest marker area, as a fraction of the frame area
+      this.maxAspectRatioDistortion = 4; // Largest change of the marker's side ratio, as a factor
+      // Detect only around the marker's last position while it is in view: faster, fewer false matches
+      this.searchMaskEnabled = true;
+
+      // Scales of the marker image its features are detected at, so it is found from far away and up close
+      this.referenceScales = [1.5, 1, 0.6, 0.35];
+
+      // One config per recognizable artwork
+      this.artworkConfigs = Array.isArray(artworkConfigs)
+        ? artworkConfigs
+        : [artworkConfigs];
+
+      // Overrides from config.json: the page-wide ones, see ArtworkConfig.getPageTuning, and the
+      // detector settings of every marker, which are described and matched with their own detector
+      this.applyTuning(ArtworkConfig.getPageTuning(this.artworkConfigs));
+      this.detectorSettings = new Map(); // By artwork name
+      for (const artworkConfig of this.artworkConfigs) {
+        this.detectorSettings.set(
+          artworkConfig.artworkName,
+          resolveDetectorSettings(this, artworkConfig.tuning)
+        );
+      }
+
       // Canvas to finally display the video feed and overlay
       this.displayingCanvas = canvas;
       this.displayingContext = canvas.getContext("2d", {
@@ -114,62 +177,321 @@ class ARFeatureMatcher {
         willReadFrequently: true,
       });
 
-      // Off-screen canvas for holding the transformed overlay image
-      this.transformedCanvas = document.createElement("canvas");
-      this.transformedContext = this.transformedCanvas.getContext("2d", {
-        willReadFrequently: true,
-      });
-
-      this.referenceImageUrl = referenceImageUrl;
-      this.overlayImagePath = overlayImagePath;
-
-      // PNG Set animation images and current frame index
-      this.overlayPNGs = [];
-      this.currentFrameIndex = 0;
+      // Where the picture comes from: a live camera, a video file or a still image
+      this.cameraSource = null;
+      this.sourceUrl = options.sourceUrl || null;
+      this.cameraSelect = options.cameraSelect || null;
+      this.cameraFileInput = options.cameraFileInput || null;
+      this.cameraSwitcherInitialized = false;
+      this.cameraDeviceCount = 0; // Video inputs found by enumerateDevices
+
+      // Stills and clips for sharing, see captureStill and recordClip
+      this.brandingLogoUrl =
+        options.brandingLogoUrl || new URL("Assets/izzy_logo.svg", MODULE_BASE_URL).href;
+      this.brandingLogo = null; // Promise of the logo image, loaded with the first capture
+      this.maxClipDuration = 15000; // Clips stop by themselves after this many milliseconds
+      this.captureRenderer = null; // Overlay renderer at camera resolution, created with the first still
+      this.clipRecorder = null;
+      this.clipCanvas = null; // Copy of the displaying canvas with the branding, what the clip records
+      this.clipBranding = null; // Logo drawn on the clip, null without branding
+
+      // Debug view of the pipeline on top of the camera picture, see DebugOverlay.js
+      this.debugOverlay = options.debug
+        ? new DebugOverlay({
+            displayingThresholdQuality: this.displayingThresholdQuality,
+            qualityIndicatorMax: this.qualityIndicatorMax,
+          })
+        : null;
+
+      // Debug mode, slows every OpenCV call a little
+      this.countOpenCVObjects = options.countOpenCVObjects === true;
+
+      // Warps the overlay at display resolution, on the GPU where possible
+      this.overlayRenderer = createOverlayRenderer();
+
+      // Overlay animation of every loaded marker, by marker id
+      this.markers = new Map();
+
+      // Feature detection and matching, in a Web Worker where available
+      this.pipeline = null;
+      // Most recent result of the pipeline, its homography is drawn until the next one arrives
+      this.latestResult = null;
+
+      // Overlay source (PNG sequence or video) of the active marker
+      this.overlay = null;
+      this.activeMarker = null;
+      // Whether the overlay was drawn for the latest frame
+      this.markerVisible = false;
 
       // Initialization
       this.isOpenCVInitialized = false;
       this.processing = false;
+      this.processingStarted = false;
 
-      // Current frame data
-      this.frameData = null;
+      // Lifecycle: "idle" -> "starting" -> "running" <-> "paused" -> "disposed"
+      this.state = "idle";
+      // What the visitor is told, see ARStatus.js and setStatus
+      this.statusLanguage = resolveStatusLanguage(
+        options.locale || navigator.languages || navigator.language
+      );
+      this.status = null;
+      this.markersLoaded = false;
+      this.animationFrameId = null;
+      this.pausedByVisibility = false; // Resume automatically once the page is visible again
+
+      // Bound once, so the listeners can be removed again in dispose()
+      this.handleVisibilityChange = () => {
+        if (document.hidden && this.state === "running") {
+          this.pause();
+          this.pausedByVisibility = true;
+        } else if (!document.hidden && this.pausedByVisibility) {
+          this.resume();
+        }
+      };
+      this.handleDeviceChange = () => this.setupCameraSwitcher();
+      this.handleCameraSelectChange = (event) => this.handleCameraSelection(event.target.value);
+      this.handleCameraFileChange = (event) => {
+        const fileInput = event.target;
+        if (fileInput.files.length > 0) {
+          this.selectCameraSource(createCameraSourceFromFile(fileInput.files[0]));
+          fileInput.value = "";
+        }
+      };
 
-      this.lastFrameTime = Date.now(); // Initialize last frame time
+      // Overlay frames loaded per marker id: { loaded, total }
+      this.loadingProgress = new Map();
 
-      this.currentProcessingCanvasWidth = this.initialProcessingCanvasWidth; // Initial processing canvas width
+      // Decides the processing width, frame threshold and detection interval from the measured frame rate
+      this.qualityController = new AdaptiveQualityController(this.getQualityControllerSettings());
+      this.currentProcessingCanvasWidth = this.qualityController.width;
       this.aspectRatio = null; // Will be set after video metadata is loaded
+
+      this.lastQuality = null; // Quality of the last "qualitychange" event
+      activeMatchers.add(this);
     } catch (error) {
       logError('ARFeatureMatcher.constructor', error);
     }
   }
 
+  // Load the scripts and the artwork configs, then create a matcher on the given canvas
+  // options.artworks lists the artwork folders to recognize, all of artworks.json by default
+  // options.baseUrl is the folder of the artwork folders, by default the folder of this module
+  static async create(canvas, options = {}) {
+    try {
+      await loadDependencies();
+      const baseUrl = options.baseUrl || MODULE_BASE_URL;
+      const artworkNames = options.artworks || (await ArtworkConfig.loadIndex(baseUrl));
+      const artworkConfigs = await Promise.all(
+        artworkNames.map((artworkName) => ArtworkConfig.load(artworkName.trim(), baseUrl))
+      );
+      return new ARFeatureMatcher(canvas, artworkConfigs, options);
+    } catch (error) {
+      logError('ARFeatureMatcher.create', error);
+      throw error;
+    }
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // Override the default page-wide tuning values with the ones from config.json
+  applyTuning(tuning = {}) {
+    try {
+      for (const [key, value] of Object.entries(tuning)) {
+        this[key] = value;
+      }
+      // Derived from the values above
+      this.qualityIndicatorMax = this.displayingThresholdQuality + this.qualityIndicatorFadeRange;
+    } catch (error) {
+      logError('applyTuning', error);
+    }
+  }
+
+  // Every tuning value of an artwork in the order of the config.json schema, what the tuning panel
+  // exports: the page-wide values and the detector settings of its marker, the first artwork's by default
+  getTuning(artworkName = this.artworkConfigs[0].artworkName) {
+    const detectorSettings = this.detectorSettings.get(artworkName);
+    if (!detectorSettings) {
+      throw new Error(`Unknown artwork ${artworkName}`);
+    }
+    const tuning = {};
+    for (const key of Object.keys(ARTWORK_CONFIG_SCHEMA.properties.tuning.properties)) {
+      const value = DETECTOR_SETTING_KEYS.includes(key) ? detectorSettings[key] : this[key];
+      tuning[key] = Array.isArray(value) ? value.slice() : value;
+    }
+    return tuning;
+  }
+
+  // Change tuning values while running, e.g. from the tuning panel, checked like config.json.
+  // The page-wide values apply to every marker and the quality controller starts over from them.
+  // The detector settings only apply to the marker of artworkName, the first artwork's by default;
+  // when they change, the features of that marker are detected again
+  // Resolves with the tuning of the artwork in effect
+  async updateTuning(changes, artworkName = this.artworkConfigs[0].artworkName) {
+    try {
+      const tuning = Object.assign(this.getTuning(artworkName), changes);
+      const previousDetectorSettings = this.detectorSettings.get(artworkName);
+      if (
+        changes.featureDetector !== undefined &&
+        changes.featureDetector !== previousDetectorSettings.featureDetector
+      ) {
+        // resolveDetectorSettings starts the thresholds left out from the usual ones of the new detector
+        for (const key of ["featureDetectionSensitivity", "maxFeatureDetectionSensitivity"]) {
+          if (changes[key] === undefined) delete tuning[key];
+        }
+      }
+      const problems = [];
+      validateAgainstSchema(tuning, ARTWORK_CONFIG_SCHEMA.properties.tuning, "tuning", problems);
+      validateTuningRules(tuning, problems);
+      if (problems.length > 0) {
+        throw new Error(`Invalid tuning: ${problems.join("; ")}`);
+      }
+      const pageChanges = {};
+      for (const [key, value] of Object.entries(changes)) {
+        if (!DETECTOR_SETTING_KEYS.includes(key)) pageChanges[key] = value;
+      }
+      this.applyTuning(pageChanges);
+      const detectorSettings = resolveDetectorSettings(previousDetectorSettings, changes);
+      const detectorSettingsChanged =
+        JSON.stringify(detectorSettings) !== JSON.stringify(previousDetectorSettings);
+      this.detectorSettings.set(artworkName, detectorSettings);
+
+      this.qualityController = new AdaptiveQualityController(this.getQualityControllerSettings());
+      if (this.currentProcessingCanvasWidth !== this.qualityController.width) {
+        this.currentProcessingCanvasWidth = this.qualityController.width;
+        if (this.aspectRatio) {
+          this.adjustProcessingCanvas();
+        }
+      }
+      if (this.debugOverlay) {
+        this.debugOverlay.displayingThresholdQuality = this.displayingThresholdQuality;
+        this.debugOverlay.qualityIndicatorMax = this.qualityIndicatorMax;
+      }
+      if ("desiredZoomFactor" in changes && this.cameraSource && this.cameraSource.stream) {
+        await this.applyZoomIfSupported(this.cameraSource.stream);
+      }
+
+      if (this.pipeline) {
+        await this.pipeline.configure(
+          Object.assign(this.getPipelineSettings(), {
+            frameThresholdFactor: this.qualityController.thresholdFactor,
+            maxTrackedFrames: this.qualityController.detectionInterval,
+          })
+        );
+        if (detectorSettingsChanged) {
+          // Precomputed features no longer fit the detector, so the marker image is detected
+          this.latestResult = null;
+          await this.pipeline.removeReference(artworkName);
+          await this.addMarkerReference(
+            this.artworkConfigs.find((artworkConfig) => artworkConfig.artworkName === artworkName)
+          );
+        }
+      }
+      return this.getTuning(artworkName);
+    } catch (error) {
+      logError('updateTuning', error);
+      throw error;
+    }
+  }
+
+  // Load everything and start the AR view, resumes it when it was paused
+  async start() {
+    try {
+      if (this.state === "paused") {
+        await this.resume();
+        return;
+      }
+      if (this.state !== "idle") return;
+      this.state = "starting";
+      this.setStatus(AR_STATUS.LOADING);
+      document.addEventListener("visibilitychange", this.handleVisibilityChange);
+      await this.initialize();
+    } catch (error) {
+      logError('start', error);
+    }
+  }
+
   async initialize() {
     try {
       // Initialize OpenCV and camera, load reference images
+      // dispose() may be called at any time, then whatever was set up in the meantime is released as well
       await this.initializeOpenCV();
       await this.setupCVDependentProperties();
+      if (this.releaseIfDisposed()) return;
       await this.initializeCamera();
-      await this.loadReferenceImage(this.referenceImageUrl);
-      await this.loadOverlayPNGs();
-      // Wait for the video to be ready before starting processing
-      await this.waitForVideoReady();
-      this.startProcessing();
+      if (this.releaseIfDisposed()) return;
+      await this.loadMarkers();
+      if (this.releaseIfDisposed()) return;
+      this.markersLoaded = true;
+      // The camera sources resolve once their first frame can be drawn. Without one the visitor
+      // was told why, retry() starts the view once the camera opens
+      if (!this.cameraSource) return;
+      this.startRunning();
     } catch (err) {
-      // Existing error handling
-      console.error("Initialization error: ", err);
-      // Log the error
       logError('initialize', err);
+      this.setStatus(classifyStartError(err), err);
     }
   }
 
+  // Start processing once the camera and the markers are ready
+  startRunning() {
+    try {
+      this.startProcessing();
+      this.setStatus(AR_STATUS.SEARCHING);
+      this.emit("ready", {
+        markers: [...this.markers.values()].map((marker) => ({ id: marker.id, name: marker.name })),
+      });
+      // The page may have been hidden while loading
+      if (document.hidden) {
+        this.handleVisibilityChange();
+      }
+    } catch (error) {
+      logError('startRunning', error);
+    }
+  }
+
+  // Report the state shown to the visitor with a "statuschange" event, error is the cause of a blocking state
+  setStatus(state, error = null) {
+    try {
+      if (this.status && this.status.state === state && !error) return;
+      this.status = Object.assign(describeStatus(state, this.statusLanguage, error), { error: error });
+      this.emit("statuschange", this.status);
+    } catch (err) {
+      logError('setStatus', err);
+    }
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  // The action of a "retry" status: open the camera again, e.g. after the visitor granted access
+  async retry() {
+    try {
+      if (!this.status || this.status.action !== "retry" || this.state === "disposed") return;
+      this.setStatus(AR_STATUS.LOADING);
+      await this.selectCameraSource(this.createInitialCameraSource());
+      // Device labels only become available once access was granted
+      await this.setupCameraSwitcher();
+    } catch (error) {
+      logError('retry', error);
+    }
+  }
+
+  releaseIfDisposed() {
+    if (this.state !== "disposed") return false;
+    this.dispose();
+    return true;
+  }
+
   // Asynchronously initialize OpenCV.js
   initializeOpenCV() {
     try {
       return new Promise((resolve, reject) => {
         try {
           if (typeof cv === "undefined") {
-            alert("OpenCV.js not loaded");
-            reject("OpenCV.js not loaded");
+            reject(new Error("OpenCV.js not loaded"));
             return;
           }
 
@@ -192,146 +514,285 @@ class ARFeatureMatcher {
     }
   }
 
-  waitForVideoReady() {
+  // Set up OpenCV-dependent properties like the feature pipeline with its detector and matcher
+  // Throws when no pipeline could be started, initialize() then reports the view as failed
+  async setupCVDependentProperties() {
     try {
-      return new Promise((resolve) => {
-        if (this.video.readyState >= 2) {
-          // Video is ready
-          resolve();
-        } else {
-          // Wait for the video to become ready
-          this.video.onloadeddata = () => {
-            resolve();
-          };
+      if (!this.isOpenCVInitialized) {
+        throw new Error("OpenCV not initialized");
+      }
+      const settings = this.getPipelineSettings();
+
+      // Prefer the worker; fall back to the main thread if it is not available or fails to start
+      if (typeof Worker !== "undefined") {
+        try {
+          // Workers must come from the page's origin, embedding sites use the fallback
+          this.pipeline = new WorkerPipelineRunner(new URL("ARWorker.js", MODULE_BASE_URL));
+          await this.pipeline.init(settings);
+          return;
+        } catch (err) {
+          console.warn("Feature detection worker unavailable, running on the main thread:", err);
+          if (this.pipeline) {
+            this.pipeline.terminate();
+            this.pipeline = null;
+          }
         }
-      });
+      }
+      const pipeline = new InlinePipelineRunner();
+      try {
+        await pipeline.init(settings);
+      } catch (err) {
+        pipeline.terminate();
+        throw err;
+      }
+      this.pipeline = pipeline;
     } catch (error) {
-      logError('waitForVideoReady', error);
+      logError('setupCVDependentProperties', error);
+      throw error;
     }
   }
 
-  // Set up OpenCV-dependent properties like feature detector and matcher
-  async setupCVDependentProperties() {
+  // Tuning values the FeaturePipeline needs, the detector settings are the defaults of the markers
+  getPipelineSettings() {
+    return {
+      featureDetector: this.featureDetector,
+      featureDetectionSensitivity: this.featureDetectionSensitivity,
+      matchDistanceThreshold: this.matchDistanceThreshold,
+      displayingThresholdQuality: this.displayingThresholdQuality,
+      nFramesForAveraging: this.nFramesForAveraging,
+      trackingEnabled: this.trackingEnabled,
+      minTrackedPoints: this.minTrackedPoints,
+      maxTrackingReprojectionError: this.maxTrackingReprojectionError,
+      maxTrackedFrames: this.maxTrackedFrames,
+      minInlierCount: this.minInlierCount,
+      minInlierRatio: this.minInlierRatio,
+      minMarkerAreaRatio: this.minMarkerAreaRatio,
+      maxMarkerAreaRatio: this.maxMarkerAreaRatio,
+      maxAspectRatioDistortion: this.maxAspectRatioDistortion,
+      searchMaskEnabled: this.searchMaskEnabled,
+      referenceScales: this.referenceScales,
+      countOpenCVObjects: this.countOpenCVObjects,
+      collectDebugData: this.debugOverlay !== null,
+    };
+  }
+
+  // Tuning values the AdaptiveQualityController needs
+  getQualityControllerSettings() {
+    return {
+      targetFrameRate: this.targetFrameRate,
+      minFrameRate: this.minFrameRate,
+      initialProcessingCanvasWidth: this.initialProcessingCanvasWidth,
+      minProcessingCanvasWidth: this.minProcessingCanvasWidth,
+      maxProcessingCanvasWidth: this.maxProcessingCanvasWidth,
+      processingCanvasWidthStep: this.processingCanvasWidthStep,
+      // Room above the threshold of the marker that has the most, see FeaturePipeline.getFrameThreshold
+      maxThresholdFactor: Math.max(
+        ...[...this.detectorSettings.values()].map(
+          (settings) => settings.maxFeatureDetectionSensitivity / settings.featureDetectionSensitivity
+        )
+      ),
+      maxTrackedFrames: this.maxTrackedFrames,
+      maxDetectionInterval: this.maxDetectionInterval,
+      qualitySettlingFrames: this.qualitySettlingFrames,
+      qualityIndicatorMax: this.qualityIndicatorMax,
+    };
+  }
+
+  // Start the camera (or the recorded source from the URL) and adjust canvas dimensions to it
+  async initializeCamera() {
+    try {
+      await this.switchCameraSource(this.createInitialCameraSource());
+    } catch (err) {
+      // Tells the visitor, initialize() goes on loading the markers meanwhile
+      await this.handleCameraError(err);
+    }
+    await this.setupCameraSwitcher();
+  }
+
+  // The source from the URL, or the camera the visitor picked last time
+  createInitialCameraSource() {
+    return this.sourceUrl
+      ? createCameraSourceFromUrl(this.sourceUrl)
+      : new LiveCameraSource(this.loadCameraChoice());
+  }
+
+  // Replace the current camera source, the old one is stopped first
+  // because many phones cannot open two cameras at the same time
+  async switchCameraSource(source) {
     try {
-      if (this.isOpenCVInitialized) {
-        this.featureDetector = new cv.AKAZE();
-        this.featureDetector.setThreshold(this.featureDetectionSensitivity); // Adjust detection sensitivity
-        this.matcher = new cv.BFMatcher(); // Matcher for feature matching
+      if (source instanceof LiveCameraSource) {
+        // Check if camera APIs are supported
+        await this.checkCameraSupport();
+      }
+      if (this.cameraSource) {
+        this.cameraSource.stop();
+        this.cameraSource = null;
+      }
+      // The last pose belongs to the previous picture
+      this.latestResult = null;
+      // So do the timings of the quality controller
+      this.qualityController.reset();
+
+      await source.start();
+      this.cameraSource = source;
+      this.adjustCanvasSizes();
+
+      if (source.stream) {
+        // Apply zoom if supported
+        await this.applyZoomIfSupported(source.stream);
+      }
+      this.updateCameraSwitcher();
+    } catch (error) {
+      logError('switchCameraSource', error);
+      throw error; // Re-throw to be caught in initializeCamera
+    }
+  }
+
+  // The camera the visitor picked last time, if any
+  loadCameraChoice() {
+    try {
+      return localStorage.getItem(ARFeatureMatcher.CAMERA_CHOICE_KEY);
+    } catch (error) {
+      // Storage is not available, e.g. in private browsing
+      return null;
+    }
+  }
+
+  saveCameraChoice(deviceId) {
+    try {
+      if (deviceId) {
+        localStorage.setItem(ARFeatureMatcher.CAMERA_CHOICE_KEY, deviceId);
       } else {
-        console.error("OpenCV not initialized.");
+        localStorage.removeItem(ARFeatureMatcher.CAMERA_CHOICE_KEY);
       }
     } catch (error) {
-      logError('setupCVDependentProperties', error);
+      // Storage is not available, the choice is simply not remembered
     }
   }
 
-  // Initialize the camera stream and adjust canvas dimensions based on the video feed
-  async initializeCamera() {
+  // Fill the camera drop-down, it is only shown when there is something to choose from,
+  // e.g. on phones with several rear lenses
+  async setupCameraSwitcher() {
     try {
-      // Check if camera APIs are supported
-      await this.checkCameraSupport();
+      const select = this.cameraSelect;
+      const fileInput = this.cameraFileInput;
+      if (!select || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+      if (!this.cameraSwitcherInitialized) {
+        this.cameraSwitcherInitialized = true;
+        select.addEventListener("change", this.handleCameraSelectChange);
+        if (fileInput) {
+          fileInput.addEventListener("change", this.handleCameraFileChange);
+        }
+        // Cameras that are plugged in or out while the page is open
+        navigator.mediaDevices.addEventListener("devicechange", this.handleDeviceChange);
+      }
 
-      // Get the camera stream
-      const stream = await this.getCameraStream();
+      // Device labels are only available once camera access was granted
+      const devices = (await navigator.mediaDevices.enumerateDevices()).filter(
+        (device) => device.kind === "videoinput"
+      );
+      const options = devices.map((device, index) => {
+        const option = document.createElement("option");
+        option.value = device.deviceId;
+        option.textContent = device.label || `Camera ${index + 1}`;
+        return option;
+      });
+      if (fileInput) {
+        const fileOption = document.createElement("option");
+        fileOption.value = ARFeatureMatcher.FILE_SOURCE_OPTION;
+        fileOption.textContent = "Video or photo…";
+        options.push(fileOption);
+      }
+      select.replaceChildren(...options);
 
-      // Set up the video element with the obtained stream
-      await this.setupVideoElement(stream);
+      this.cameraDeviceCount = devices.length;
+      this.updateCameraSwitcher();
+    } catch (error) {
+      logError('setupCameraSwitcher', error);
+    }
+  }
 
-      // Apply zoom if supported
-      await this.applyZoomIfSupported(stream);
+  // Show the active source in the drop-down
+  updateCameraSwitcher() {
+    try {
+      const select = this.cameraSelect;
+      if (!select || !this.cameraSwitcherInitialized) return;
+
+      const source = this.cameraSource;
+      const live = source instanceof LiveCameraSource;
+      select.value = live ? source.deviceId : ARFeatureMatcher.FILE_SOURCE_OPTION;
+      // Without a choice of cameras the drop-down is only needed to get back from a file
+      select.hidden = this.cameraDeviceCount < 2 && (live || !source);
+    } catch (error) {
+      logError('updateCameraSwitcher', error);
+    }
+  }
 
-      // Start video playback
-      await this.startVideoPlayback();
-    } catch (err) {
-      console.error("Camera initialization error: ", err);
+  handleCameraSelection(value) {
+    try {
+      if (value === ARFeatureMatcher.FILE_SOURCE_OPTION) {
+        this.cameraFileInput.click();
+        // Keep showing the active source until a file was picked
+        this.updateCameraSwitcher();
+        return;
+      }
+      this.saveCameraChoice(value);
+      this.selectCameraSource(new LiveCameraSource(value));
+    } catch (error) {
+      logError('handleCameraSelection', error);
+    }
+  }
 
-      // Handle errors and execute default behavior
+  // Switch sources from the UI, falling back to the default camera if the choice cannot be opened
+  // A source that opens ends a camera error, and starts the view if the camera was all it waited for
+  async selectCameraSource(source) {
+    try {
+      await this.switchCameraSource(source);
+    } catch (err) {
       await this.handleCameraError(err);
-      // Log the error
-      logError('initializeCamera', err);
+      return;
+    }
+    if (this.processingStarted) {
+      this.setStatus(AR_STATUS.SEARCHING);
+    } else if (this.markersLoaded && this.state === "starting") {
+      this.startRunning();
     }
+    // Otherwise initialize() starts the view once the markers are loaded
   }
 
   // Check if navigator.mediaDevices and getUserMedia are supported
   async checkCameraSupport() {
     try {
       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        this.displayGetCloserMessage(
-          "Camera API is not supported on this device or browser."
-        );
-        throw new Error("Camera API not supported");
+        throw createCameraError("NotSupportedError", "Camera API not supported");
       }
 
       // Check the permission status for the camera
+      let permissionStatus = null;
       try {
-        const permissionStatus = await navigator.permissions.query({
+        permissionStatus = await navigator.permissions.query({
           name: "camera",
         });
-        if (permissionStatus.state === "denied") {
-          this.displayGetCloserMessage(
-            "Camera access has been denied. Please enable it in your browser settings."
-          );
-          throw new Error("Camera access denied");
-        }
       } catch (err) {
         // Some browsers may not support navigator.permissions
         console.warn(
           "Permissions API not supported, proceeding without checking permissions."
         );
       }
+      if (permissionStatus && permissionStatus.state === "denied") {
+        throw createCameraError("NotAllowedError", "Camera access denied");
+      }
     } catch (error) {
       logError('checkCameraSupport', error);
       throw error; // Re-throw to be caught in initializeCamera
     }
   }
 
-  // Get the camera stream with desired constraints
-  async getCameraStream() {
-    try {
-      const constraints = {
-        video: {
-          facingMode: { ideal: "environment" }, // Attempt to use back camera
-          // You can add more constraints here if needed
-        },
-      };
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      return stream;
-    } catch (err) {
-      // Rethrow the error to be handled in initializeCamera
-      logError('getCameraStream', err);
-      throw err;
-    }
-  }
-
-  // Set up the video element with the obtained stream
-  setupVideoElement(stream) {
-    try {
-      return new Promise((resolve) => {
-        // Create video element
-        this.video = document.createElement("video");
-        this.video.setAttribute("playsinline", "true");
-        this.video.muted = true;
-        this.video.style.display = "none"; // Hide the video element from view
-        document.body.appendChild(this.video);
-
-        // Set the video stream as the source for the video element
-        this.video.srcObject = stream;
-
-        // Wait for the video metadata to load (dimensions, etc.)
-        this.video.onloadedmetadata = () => {
-          this.adjustCanvasSizes();
-          resolve();
-        };
-      });
-    } catch (error) {
-      logError('setupVideoElement', error);
-    }
-  }
-
-  // Adjust canvas sizes based on video dimensions
+  // Adjust canvas sizes based on the dimensions of the camera source
   adjustCanvasSizes() {
     try {
-      const aspectRatio = this.video.videoWidth / this.video.videoHeight;
+      const aspectRatio = this.cameraSource.width / this.cameraSource.height;
       const desiredWidth = window.innerWidth;
 
       this.aspectRatio = aspectRatio; // Store aspect ratio for later use
@@ -342,14 +803,9 @@ class ARFeatureMatcher {
 
       // Adjust processing canvas size for performance optimization
       this.adjustProcessingCanvas();
-      this.frameData = new FrameData(
-        this.processingCanvas.width,
-        this.processingCanvas.height
-      );
 
-      // Set transformedCanvas size for the final overlay rendering
-      this.transformedCanvas.width = this.displayingCanvas.width;
-      this.transformedCanvas.height = this.displayingCanvas.height;
+      // The overlay is rendered at the size of the visible canvas
+      this.overlayRenderer.resize(this.displayingCanvas.width, this.displayingCanvas.height);
     } catch (error) {
       logError('adjustCanvasSizes', error);
     }
@@ -393,67 +849,28 @@ class ARFeatureMatcher {
     }
   }
 
-  // Start video playback
-  async startVideoPlayback() {
-    try {
-      await this.video.play();
-    } catch (err) {
-      console.error("Error starting video playback:", err);
-      logError('startVideoPlayback', err);
-      throw err;
-    }
-  }
-
-  // Handle errors during camera initialization
+  // Handle errors during camera initialization: tell the visitor what to do, see ARStatus.js
   async handleCameraError(err) {
     try {
-      // Handle specific types of errors and display appropriate messages
-      if (err.name === "NotAllowedError") {
-        this.displayGetCloserMessage(
-          "Camera access denied. Please allow camera access in the website settings within your browser and in the system settings for your browser app."
-        );
-      } else if (
-        err.name === "NotFoundError" ||
-        err.name === "DevicesNotFoundError"
-      ) {
-        this.displayGetCloserMessage("No camera was found on this device.");
-      } else if (
-        err.name === "NotReadableError" ||
-        err.name === "TrackStartError"
-      ) {
-        this.displayGetCloserMessage(
-          "Unable to access the camera. The camera may be in use by another application."
-        );
-      } else if (
+      console.error("Camera error: ", err);
+      if (
         err.name === "OverconstrainedError" ||
         err.name === "ConstraintNotSatisfiedError"
       ) {
-        this.displayGetCloserMessage(
-          "No camera matches the specified constraints. Trying the default camera."
-        );
-
-        // Fallback to default camera (front camera or system default)
+        // Fallback to default camera, the remembered one may no longer exist
+        this.saveCameraChoice(null);
         try {
-          const fallbackStream = await navigator.mediaDevices.getUserMedia({
-            video: true,
-          });
-          this.setupVideoElement(fallbackStream);
-          await this.startVideoPlayback();
+          await this.switchCameraSource(new LiveCameraSource());
+          if (this.processingStarted) {
+            this.setStatus(AR_STATUS.SEARCHING);
+          }
+          return;
         } catch (fallbackErr) {
-          this.displayGetCloserMessage("Fallback camera access failed.");
-          console.error("Fallback camera initialization error: ", fallbackErr);
           logError('handleCameraError - fallback', fallbackErr);
+          err = fallbackErr;
         }
-      } else if (err.name === "SecurityError") {
-        this.displayGetCloserMessage(
-          "Camera access is blocked due to security settings."
-        );
-      } else {
-        // Generic error message for any other errors
-        this.displayGetCloserMessage(
-          "An unknown error occurred while initializing the camera: " + err.message
-        );
       }
+      this.setStatus(classifyCameraError(err), err);
     } catch (error) {
       logError('handleCameraError', error);
     }
@@ -475,6 +892,167 @@ class ARFeatureMatcher {
     }
   }
 
+  // Load the reference image and overlay animation of every artwork into the marker registry
+  // Resolves once every marker can be tracked, remaining overlay frames keep streaming in
+  async loadMarkers() {
+    try {
+      const markers = await Promise.all(
+        this.artworkConfigs.map((artworkConfig) => this.loadMarker(artworkConfig))
+      );
+      markers.forEach((marker) => this.markers.set(marker.id, marker));
+    } catch (error) {
+      logError('loadMarkers', error);
+      throw error;
+    }
+  }
+
+  async loadMarker(artworkConfig) {
+    try {
+      const id = artworkConfig.artworkName;
+      this.reportLoadingProgress(id, 0, 1);
+
+      const { width, height } = await this.addMarkerReference(artworkConfig);
+
+      // The overlay is drawn in the coordinates of the reference image
+      const overlay = createOverlaySource(artworkConfig, width, height);
+      await overlay.load((loaded, total) =>
+        this.reportLoadingProgress(id, loaded, total)
+      );
+
+      return {
+        id: id,
+        name: artworkConfig.name,
+        width: width,
+        height: height,
+        overlay: overlay,
+      };
+    } catch (error) {
+      logError('loadMarker', error);
+      throw error;
+    }
+  }
+
+  // Hand the reference features of a marker to the pipeline and return the marker size.
+  // Features precomputed with tools/precompute-markers.js save detecting them on the phone,
+  // the marker image is only loaded when there are none or they do not fit the detector settings.
+  async addMarkerReference(artworkConfig) {
+    try {
+      const id = artworkConfig.artworkName;
+      if (artworkConfig.markerFeaturesUrl) {
+        try {
+          const features = await this.loadMarkerFeatures(artworkConfig.markerFeaturesUrl);
+          const size = { width: features.width, height: features.height };
+          // The typed arrays are transferred to the pipeline
+          const added = await this.pipeline.addPrecomputedReference(
+            id,
+            artworkConfig.name,
+            features,
+            artworkConfig.smoothing,
+            artworkConfig.markerMask,
+            this.detectorSettings.get(id)
+          );
+          if (added) {
+            return size;
+          }
+          console.warn(
+            `${artworkConfig.markerFeaturesUrl} was computed with other detector settings or another marker mask, detecting the features of ${artworkConfig.markerUrl} instead`
+          );
+        } catch (error) {
+          console.warn(
+            `${artworkConfig.markerFeaturesUrl} could not be used, detecting the features of ${artworkConfig.markerUrl} instead:`,
+            error
+          );
+        }
+      }
+
+      const referenceImageData = await this.loadReferenceImage(artworkConfig.markerUrl);
+      const size = { width: referenceImageData.width, height: referenceImageData.height };
+      // The pixels are transferred to the pipeline, which detects the reference features
+      await this.pipeline.addReference(
+        id,
+        artworkConfig.name,
+        referenceImageData,
+        artworkConfig.smoothing,
+        artworkConfig.markerMask,
+        this.detectorSettings.get(id)
+      );
+      return size;
+    } catch (error) {
+      logError('addMarkerReference', error);
+      throw error;
+    }
+  }
+
+  // Fetch and decode a marker features file written by tools/precompute-markers.js
+  async loadMarkerFeatures(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${url} could not be loaded (HTTP ${response.status})`);
+    }
+    return parseMarkerFeatures(await response.json());
+  }
+
+  // Keep track of the overlay frames loaded per marker
+  reportLoadingProgress(markerId, loaded, total) {
+    try {
+      this.loadingProgress.set(markerId, { loaded, total });
+      // Once processing runs, the progress bar is drawn with every frame instead
+      if (!this.processingStarted) {
+        this.displayLoadingProgress();
+      }
+    } catch (error) {
+      logError('reportLoadingProgress', error);
+    }
+  }
+
+  // Fraction of all overlay frames loaded so far, between 0 and 1
+  getLoadingFraction() {
+    let loaded = 0;
+    let total = 0;
+    for (const progress of this.loadingProgress.values()) {
+      loaded += progress.loaded;
+      total += progress.total;
+    }
+    return total === 0 ? 1 : loaded / total;
+  }
+
+  // Draw the loading progress: a full screen message before tracking starts,
+  // afterwards a thin bar at the bottom of the canvas while frames are still streaming in
+  displayLoadingProgress() {
+    try {
+      const fraction = this.getLoadingFraction();
+      const width = this.displayingCanvas.width;
+      const height = this.displayingCanvas.height;
+      const barHeight = 4;
+
+      if (!this.processingStarted) {
+        this.displayingContext.fillStyle = "rgb(0, 0, 0)";
+        this.displayingContext.fillRect(0, 0, width, height);
+
+        this.displayingContext.font = "15px Arial";
+        this.displayingContext.fillStyle = "rgb(255, 255, 255)";
+        this.displayingContext.textAlign = "center";
+        this.displayingContext.fillText(
+          `${describeStatus(AR_STATUS.LOADING, this.statusLanguage).title} ${Math.round(fraction * 100)}%`,
+          width / 2,
+          height / 2
+        );
+
+        const barWidth = width * 0.5;
+        this.displayingContext.fillStyle = "rgba(255, 255, 255, 0.3)";
+        this.displayingContext.fillRect((width - barWidth) / 2, height / 2 + 15, barWidth, barHeight);
+        this.displayingContext.fillStyle = "rgb(255, 255, 255)";
+        this.displayingContext.fillRect((width - barWidth) / 2, height / 2 + 15, barWidth * fraction, barHeight);
+      } else if (fraction < 1) {
+        this.displayingContext.fillStyle = "rgba(255, 255, 255, 0.8)";
+        this.displayingContext.fillRect(0, height - barHeight, width * fraction, barHeight);
+      }
+    } catch (error) {
+      logError('displayLoadingProgress', error);
+    }
+  }
+
+  // Load a reference image and return its RGBA pixels as ImageData
   async loadReferenceImage(url) {
     try {
       return new Promise((resolve, reject) => {
@@ -482,19 +1060,14 @@ class ARFeatureMatcher {
         img.crossOrigin = "anonymous"; // Avoid cross-origin issues
         img.onload = () => {
           try {
-            let tempMat = cv.imread(img);
-            cv.cvtColor(tempMat, tempMat, cv.COLOR_BGRA2GRAY); // Convert to grayscale
-            this.referenceMat = tempMat;
-            this.referenceKeypoints = new cv.KeyPointVector();
-            this.referenceDescriptors = new cv.Mat();
-            // Detect features in the reference image
-            this.featureDetector.detectAndCompute(
-              tempMat,
-              new cv.Mat(),
-              this.referenceKeypoints,
-              this.referenceDescriptors
-            );
-            resolve();
+            let canvas = document.createElement("canvas");
+            canvas.width = img.width;
+            canvas.height = img.height;
+            let context = canvas.getContext("2d", {
+              willReadFrequently: true,
+            });
+            context.drawImage(img, 0, 0);
+            resolve(context.getImageData(0, 0, img.width, img.height));
           } catch (err) {
             logError('loadReferenceImage - onload', err);
             reject(err);
@@ -511,121 +1084,188 @@ class ARFeatureMatcher {
     }
   }
 
-  // Load PNG frames for overlay animation
-  async loadOverlayPNGs() {
+  // Start the frame-by-frame processing loop
+  startProcessing() {
     try {
-      return new Promise(async (resolve, reject) => {
-        try {
-          let i = 1; // Start from PNG_0001.png
-          this.overlayPNGs = []; // Store the loaded overlay images
-
-          while (true) {
-            const imageUrl = `${this.overlayImagePath}/PNG_${String(i).padStart(
-              4,
-              "0"
-            )}.png`;
-
-            // Check if the image exists by attempting to load it
-            let img = new Image();
-            img.crossOrigin = "anonymous";
-            const imageLoaded = await new Promise((resolve) => {
-              img.onload = () => resolve(true);
-              img.onerror = () => resolve(false);
-              img.src = imageUrl;
-            });
+      this.processingStarted = true;
+      this.state = "running";
+      const processFrame = () => {
+        this.renderFrame();
+        this.animationFrameId = requestAnimationFrame(processFrame); // Continuously render frames
+      };
+      this.animationFrameId = requestAnimationFrame(processFrame);
+    } catch (error) {
+      logError('startProcessing', error);
+    }
+  }
 
-            if (!imageLoaded) {
-              break; // Stop the loop if the image doesn't exist
-            }
-
-            try {
-              // Process the loaded image
-              let canvas = document.createElement("canvas");
-              canvas.width = img.width;
-              canvas.height = img.height;
-              let context = canvas.getContext("2d", {
-                willReadFrequently: true,
-              });
-
-              context.drawImage(img, 0, 0);
-              let mat = cv.imread(canvas); // Assuming cv.imread is available
-              this.overlayPNGs.push(mat); // Push the image mat to the array
-            } catch (err) {
-              logError('loadOverlayPNGs - processing image', err);
-            }
-
-            i++; // Increment to load the next image
-          }
+  stopProcessing() {
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
 
-          this.currentFrameIndex = 0; // Set the current frame index after loading images
-          resolve();
+  // Stop drawing and processing, release the camera and hold the overlay animation
+  pause() {
+    try {
+      if (this.state !== "running") return;
+      this.state = "paused";
+      this.pausedByVisibility = false;
+      this.stopProcessing();
+      if (this.cameraSource) {
+        this.cameraSource.pause();
+      }
+      if (this.overlay) {
+        this.overlay.pause();
+      }
+      // The marker has most likely moved by the time the view resumes
+      this.latestResult = null;
+    } catch (error) {
+      logError('pause', error);
+    }
+  }
+
+  // Reopen the camera and continue where pause() stopped
+  async resume() {
+    try {
+      if (this.state !== "paused") return;
+      this.state = "resuming";
+      this.pausedByVisibility = false;
+      if (this.cameraSource) {
+        try {
+          await this.cameraSource.resume();
+          // A reopened camera may deliver a different resolution
+          this.adjustCanvasSizes();
         } catch (err) {
-          logError('loadOverlayPNGs', err);
-          reject(err);
+          await this.handleCameraError(err);
         }
-      });
+      }
+      if (this.releaseIfDisposed()) return;
+      if (this.overlay) {
+        this.overlay.resume();
+      }
+      this.qualityController.reset(); // The pause says nothing about the processing frame rate
+      this.startProcessing();
     } catch (error) {
-      logError('loadOverlayPNGs', error);
+      logError('resume', error);
     }
   }
 
-  // Start the frame-by-frame processing loop
-  startProcessing() {
+  // Release the camera, every OpenCV object and every listener; the instance cannot be started again
+  dispose() {
     try {
-      const processFrame = async () => {
-        await this.captureAndProcessFrame();
-        requestAnimationFrame(processFrame); // Continuously process frames
-      };
-      requestAnimationFrame(processFrame);
+      this.state = "disposed";
+      activeMatchers.delete(this);
+      this.pausedByVisibility = false;
+      this.stopProcessing();
+      document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+
+      if (this.cameraSwitcherInitialized) {
+        this.cameraSwitcherInitialized = false;
+        this.cameraSelect.removeEventListener("change", this.handleCameraSelectChange);
+        this.cameraSelect.hidden = true;
+        if (this.cameraFileInput) {
+          this.cameraFileInput.removeEventListener("change", this.handleCameraFileChange);
+        }
+        navigator.mediaDevices.removeEventListener("devicechange", this.handleDeviceChange);
+      }
+
+      if (this.cameraSource) {
+        this.cameraSource.stop();
+        this.cameraSource = null;
+      }
+
+      // Overlay frames, including those still streaming in
+      for (const marker of this.markers.values()) {
+        marker.overlay.delete();
+      }
+      this.markers.clear();
+      this.overlay = null;
+      this.activeMarker = null;
+      this.latestResult = null;
+
+      // Reference features, detector and matcher live in the pipeline (and a worker's heap)
+      if (this.pipeline) {
+        this.pipeline.terminate();
+        this.pipeline = null;
+      }
+      if (this.overlayRenderer) {
+        this.overlayRenderer.delete();
+        this.overlayRenderer = null;
+      }
+      // A clip being recorded still resolves with what was recorded so far
+      if (this.clipRecorder) {
+        this.clipRecorder.stop();
+      }
+      if (this.captureRenderer) {
+        this.captureRenderer.delete();
+        this.captureRenderer = null;
+      }
     } catch (error) {
-      logError('startProcessing', error);
+      logError('dispose', error);
     }
   }
 
-  // Capture and process each frame from the video feed
-  captureAndProcessFrame() {
+  // Draw the camera feed at full display rate and hand a frame to the pipeline whenever it is idle
+  renderFrame() {
     try {
-      if (this.processing) return;
-      this.processing = true;
+      // No picture while the camera is being switched or could not be reopened
+      if (!this.cameraSource || !this.cameraSource.element) return;
+
+      if (!this.processing) {
+        this.captureAndProcessFrame();
+      }
+
+      // Draw the video frame on the displaying canvas
+      this.displayingContext.drawImage(
+        this.cameraSource.element,
+        0,
+        0,
+        this.displayingCanvas.width,
+        this.displayingCanvas.height
+      );
 
-      // Calculate current frame rate
-      let now = Date.now();
-      let elapsedTime = now - this.lastFrameTime; // in ms
-      let currentFrameRate = 1000 / elapsedTime; // frames per second
-      this.lastFrameTime = now; // Update last frame time
+      // Apply the overlay with the latest homography (if any)
+      this.drawOverlay();
 
-      // Adjust processing canvas width based on frame rate
-      let canvasSizeChanged = false;
-      let newWidth = this.currentProcessingCanvasWidth;
+      // Show that overlay frames are still streaming in
+      this.displayLoadingProgress();
 
-      if (currentFrameRate < this.targetFrameRate) {
-        newWidth = Math.max(
-          this.currentProcessingCanvasWidth - this.processingCanvasWidthStep,
-          this.minProcessingCanvasWidth
-        );
-      } else if (currentFrameRate > this.targetFrameRate) {
-        newWidth = this.currentProcessingCanvasWidth + this.processingCanvasWidthStep;
+      if (this.debugOverlay) {
+        this.drawDebugOverlay();
       }
 
-      if (newWidth !== this.currentProcessingCanvasWidth) {
-        this.currentProcessingCanvasWidth = newWidth;
-        this.adjustProcessingCanvas();
-        canvasSizeChanged = true;
+      if (this.clipRecorder) {
+        this.drawClipFrame();
+      }
 
-        // Delete old frameData Mats
-        if (this.frameData) {
-          this.frameData.delete();
-        }
-        // Create new frameData with new sizes
-        this.frameData = new FrameData(
-          this.processingCanvas.width,
-          this.processingCanvas.height
-        );
+      this.emit("framerendered", {
+        markerId: this.activeMarker ? this.activeMarker.id : null,
+        markerVisible: this.markerVisible,
+        tracking: Boolean(this.latestResult && this.latestResult.tracking),
+      });
+    } catch (error) {
+      logError('renderFrame', error);
+    }
+  }
+
+  // Capture a frame from the video feed and let the pipeline process it
+  async captureAndProcessFrame() {
+    try {
+      if (this.processing) return;
+      this.processing = true;
+
+      // The time since the last frame is how long the pipeline took for it
+      const decision = this.qualityController.update(performance.now(), this.latestResult);
+      if (decision) {
+        await this.applyQualityDecision(decision);
       }
 
       // Draw the current video frame on the processing canvas
+      const cameraSource = this.cameraSource;
       this.processingContext.drawImage(
-        this.video,
+        cameraSource.element,
         0,
         0,
         this.processingCanvas.width,
@@ -640,152 +1280,124 @@ class ARFeatureMatcher {
         this.processingCanvas.height
       );
 
-      // Update frame data with the new image
-      this.frameData.update(imageData);
-
-      // Detect and match features
-      this.detectFeaturesAndMatch(this.frameData);
-
-      // Now, draw the video frame on the displaying canvas
-      this.displayingContext.drawImage(
-        this.video,
-        0,
-        0,
-        this.displayingCanvas.width,
-        this.displayingCanvas.height
-      );
-
-      // Apply the overlay (if any)
-      this.calculateTransformationAndOverlay(this.frameData);
+      // Detect and match features, the pixel buffer is transferred to the worker
+      const result = await this.pipeline.processFrame(imageData);
+      // A result for the previous camera would draw the overlay at a stale position
+      if (cameraSource === this.cameraSource) {
+        this.handlePipelineResult(result);
+      }
 
       this.processing = false;
     } catch (error) {
-      logError('captureAndProcessFrame', error);
+      // Frames still in flight when the pipeline is disposed are rejected
+      if (this.state !== "disposed") {
+        logError('captureAndProcessFrame', error);
+      }
       this.processing = false;
     }
   }
 
-  // Detect features in the frame and match them with the reference image
-  async detectFeaturesAndMatch(frameData) {
+  // Apply a change of the AdaptiveQualityController, the host page can log it from the event
+  async applyQualityDecision(decision) {
     try {
-      if (!this.isOpenCVInitialized) return;
-
-      try {
-        // Detect and compute keypoints and descriptors for the current frame
-        this.featureDetector.detectAndCompute(
-          frameData.grayMat,
-          new cv.Mat(),
-          frameData.keypoints,
-          frameData.descriptors
-        );
-
-        if (
-          !this.referenceDescriptors.empty() &&
-          !frameData.descriptors.empty()
-        ) {
-          // Match descriptors from current frame with the reference descriptors
-          let { goodMatches, qualityIndicator } =
-            this.filterMatchesWithCrossCheck(
-              frameData.descriptors,
-              this.referenceDescriptors
-            );
-
-          frameData.setQualityIndicator(qualityIndicator);
-          frameData.goodMatches = goodMatches; // Store good matches
-
-          // Update quality history for averaging
-          this.qualityHistory.push(qualityIndicator);
-
-          // Keep only the last nFramesForAveraging quality indicators
-          if (this.qualityHistory.length > this.nFramesForAveraging) {
-            this.qualityHistory.shift(); // Remove the oldest quality indicator
-          }
-
-          // Calculate the rolling average quality indicator
-          const sumQuality = this.qualityHistory.reduce((sum, q) => sum + q, 0);
-          this.averageQualityIndicator =
-            sumQuality / this.qualityHistory.length;
-          // log the average quality indicator in the div
-          document.getElementById(
-            "log"
-          ).innerText = `Quality: ${this.averageQualityIndicator.toFixed(3)}`;
-        }
-      } catch (err) {
-        console.error("Feature matching error: ", err);
-        logError('detectFeaturesAndMatch - feature detection', err);
+      if (decision.widthChanged) {
+        // The pipeline recreates its frame buffers when the size changes
+        this.currentProcessingCanvasWidth = decision.width;
+        this.adjustProcessingCanvas();
+      }
+      if (decision.detectorChanged) {
+        await this.pipeline.configure({
+          frameThresholdFactor: decision.thresholdFactor,
+          maxTrackedFrames: decision.detectionInterval,
+        });
       }
+      this.emit("qualitysettingschange", decision);
     } catch (error) {
-      logError('detectFeaturesAndMatch', error);
+      logError('applyQualityDecision', error);
     }
   }
 
-  // Filter matches using cross-checking with a distance threshold
-  filterMatchesWithCrossCheck(
-    srcDescriptors,
-    targetDescriptors,
-    distanceThreshold = this.matchDistanceThreshold // Lowe's ratio test threshold
-  ) {
+  // Take over the outcome of a processed frame
+  handlePipelineResult(result) {
     try {
-      let goodMatches = new cv.DMatchVector();
-      let perfectMatchCount = 0;
-
-      // Step 1: Source to Target matching
-      let sourceToTargetMatches = new cv.DMatchVectorVector();
-      this.matcher.knnMatch(
-        srcDescriptors,
-        targetDescriptors,
-        sourceToTargetMatches,
-        2
-      );
+      if (result.switched && this.markers.has(result.markerId)) {
+        this.setActiveMarker(this.markers.get(result.markerId));
+      }
 
-      // Step 2: Target to Source matching
-      let targetToSourceMatches = new cv.DMatchVectorVector();
-      this.matcher.knnMatch(
-        targetDescriptors,
-        srcDescriptors,
-        targetToSourceMatches,
-        2
-      );
+      this.latestResult = result;
+      this.averageQualityIndicator = result.averageQualityIndicator;
+      if (this.debugOverlay) {
+        this.debugOverlay.recordResult(performance.now(), result);
+      }
 
-      // Step 3: Cross-check matches
-      for (let i = 0; i < sourceToTargetMatches.size(); ++i) {
-        let match = sourceToTargetMatches.get(i);
-        let dMatch1 = match.get(0); // Best match
-        let dMatch2 = match.get(1); // Second-best match
+      if (result.markerId && this.averageQualityIndicator !== this.lastQuality) {
+        this.lastQuality = this.averageQualityIndicator;
+        this.emit("qualitychange", {
+          quality: this.averageQualityIndicator,
+          markerId: result.markerId,
+          name: this.markers.get(result.markerId).name,
+        });
+      }
 
-        // Check for perfect matches to have a good quality indicator
-        // Is set to 0.6 because the threshold can can be adapted with the variable "displayingThresholdQuality"
-        if (dMatch1.distance <= dMatch2.distance * 0.75) {
-          perfectMatchCount++;
+      const markerVisible = result.homography !== null;
+      // A camera error stays on screen until the camera works again
+      if (!this.status || !this.status.blocking) {
+        this.setStatus(markerVisible ? AR_STATUS.TRACKING : AR_STATUS.SEARCHING);
+      }
+      if (markerVisible !== this.markerVisible) {
+        this.markerVisible = markerVisible;
+        if (this.overlay) {
+          this.overlay.setMarkerVisible(markerVisible);
         }
-
-        // Apply Lowe's ratio test for source-to-target matches
-        if (dMatch1.distance <= dMatch2.distance * distanceThreshold) {
-          // Now check if the reverse match is consistent (target-to-source)
-          let reverseMatch = targetToSourceMatches.get(dMatch1.trainIdx);
-
-          // Ensure the reverse match points back to the original keypoint and apply static distance check
-          if (
-            reverseMatch.size() > 0 &&
-            reverseMatch.get(0).trainIdx === dMatch1.queryIdx
-          ) {
-            goodMatches.push_back(dMatch1); // Keep the match if both directions are consistent
-          }
+        if (this.activeMarker) {
+          this.emit(markerVisible ? "markerfound" : "markerlost", {
+            markerId: this.activeMarker.id,
+            name: this.activeMarker.name,
+          });
         }
       }
+    } catch (error) {
+      logError('handlePipelineResult', error);
+    }
+  }
 
-      let qualityIndicator = perfectMatchCount / sourceToTargetMatches.size();
-      return {
-        goodMatches: goodMatches,
-        qualityIndicator: qualityIndicator,
-      };
+  // Settings, measurements and recent decisions of the AdaptiveQualityController
+  getQualityDiagnostics() {
+    return this.qualityController.getDiagnostics();
+  }
+
+  // Live OpenCV objects of the pipeline after the latest frame, by class, and how many that frame created
+  // null unless the matcher was created with options.countOpenCVObjects
+  getMemoryDiagnostics() {
+    return this.latestResult ? this.latestResult.openCVObjects : null;
+  }
+
+  // Counters of accepted and rejected homographies, by rejection reason
+  getValidationDiagnostics() {
+    return this.latestResult ? this.latestResult.validation : null;
+  }
+
+  // Switch the overlay animation to a newly recognized marker
+  setActiveMarker(marker) {
+    try {
+      if (this.overlay) {
+        this.overlay.stop();
+      }
+      if (this.markerVisible && this.activeMarker) {
+        this.emit("markerlost", { markerId: this.activeMarker.id, name: this.activeMarker.name });
+      }
+      // Every marker's animation starts from its first frame
+      this.activeMarker = marker;
+      this.overlay = marker.overlay;
+      this.overlay.start();
+      this.markerVisible = false;
     } catch (error) {
-      logError('filterMatchesWithCrossCheck', error);
+      logError('setActiveMarker', error);
     }
   }
 
-  // Calculate the transformation matrix and apply the overlay if valid
-  calculateTransformationAndOverlay(frameData) {
+  // Show the "get closer" message and the overlay according to the latest pipeline result
+  drawOverlay() {
     try {
       // Calculate opacity based on the quality indicator
       const opacity = this.calculateErrorMessageOpacity();
@@ -793,40 +1405,12 @@ class ARFeatureMatcher {
       // Always display the error message with the calculated opacity
       this.displayGetCloserMessage(opacity);
 
-      // Proceed with overlay calculation if quality is good enough
-      if (
-        frameData.goodMatches.size() < 5 ||
-        this.averageQualityIndicator < this.displayingThresholdQuality
-      ) {
-        // Do not apply the overlay if not enough matches or quality is below threshold
-        return;
-      }
-
-      // Existing code to calculate homography and apply overlay
-      let points1 = [];
-      let points2 = [];
-
-      for (let i = 0; i < frameData.goodMatches.size(); i++) {
-        let match = frameData.goodMatches.get(i);
-        points2.push(frameData.keypoints.get(match.queryIdx).pt.x);
-        points2.push(frameData.keypoints.get(match.queryIdx).pt.y);
-        points1.push(this.referenceKeypoints.get(match.trainIdx).pt.x);
-        points1.push(this.referenceKeypoints.get(match.trainIdx).pt.y);
-      }
-
-      let mat1 = cv.matFromArray(points1.length / 2, 1, cv.CV_32FC2, points1);
-      let mat2 = cv.matFromArray(points2.length / 2, 1, cv.CV_32FC2, points2);
-
-      let h = cv.findHomography(mat1, mat2, cv.RANSAC);
-      if (!h.empty()) {
-        this.applyOverlay(h, frameData);
-      }
+      const result = this.latestResult;
+      if (!result || !result.homography || !this.overlay) return;
 
-      mat1.delete();
-      mat2.delete();
-      h.delete();
+      this.applyOverlay(result.homography, result.width, result.height);
     } catch (error) {
-      logError('calculateTransformationAndOverlay', error);
+      logError('drawOverlay', error);
     }
   }
 
@@ -850,44 +1434,178 @@ class ARFeatureMatcher {
   }
 
   // Apply the overlay image to the main canvas
-  applyOverlay(h, frameData) {
+  // homography maps reference coordinates to a processing frame of width x height
+  applyOverlay(homography, width, height) {
     try {
-      if (h.empty()) return;
-
       // Calculate the mirrored opacity for the overlay
       const errorMessageOpacity = this.calculateErrorMessageOpacity();
       const overlayOpacity = 1 - errorMessageOpacity;
 
-      let currentOverlayMat = this.overlayPNGs[this.currentFrameIndex];
-      let transformedOverlay = new cv.Mat();
+      // Pick the animation frame from elapsed time instead of advancing once per detection
+      let currentOverlayMat = this.overlay.getFrame(performance.now());
+      if (!currentOverlayMat) return; // A "once" animation has finished
 
-      // Warp the overlay according to the transformation matrix
-      cv.warpPerspective(
+      // Warp straight into display coordinates instead of stretching a processing-sized image
+      const displayHomography = scaleHomography(
+        homography,
+        this.displayingCanvas.width / width,
+        this.displayingCanvas.height / height
+      );
+      const warpStart = performance.now();
+      this.overlayRenderer.draw(
+        this.displayingContext,
         currentOverlayMat,
-        transformedOverlay,
-        h,
-        new cv.Size(this.processingCanvas.width, this.processingCanvas.height)
+        this.overlay.frameVersion,
+        displayHomography,
+        overlayOpacity
       );
+      if (this.debugOverlay) {
+        this.debugOverlay.recordWarp(performance.now() - warpStart);
+      }
+    } catch (error) {
+      logError('applyOverlay', error);
+    }
+  }
 
-      // Draw the transformed overlay on the transformedCanvas
-      cv.imshow(this.transformedCanvas, transformedOverlay);
-
-      // Apply the overlay with the adjusted opacity
-      this.displayingContext.globalAlpha = overlayOpacity; // Set overlay opacity
-      this.displayingContext.drawImage(
-        this.transformedCanvas,
-        0,
-        0,
+  // Points, marker outline and HUD of the latest pipeline result, with options.debug
+  drawDebugOverlay() {
+    try {
+      const result = this.latestResult;
+      this.debugOverlay.recordRender(performance.now());
+      this.debugOverlay.draw(
+        this.displayingContext,
         this.displayingCanvas.width,
-        this.displayingCanvas.height
+        this.displayingCanvas.height,
+        result,
+        result && result.markerId ? this.markers.get(result.markerId) : null
       );
-      this.displayingContext.globalAlpha = 1; // Reset opacity to default
+    } catch (error) {
+      logError('drawDebugOverlay', error);
+    }
+  }
 
-      transformedOverlay.delete();
-      this.currentFrameIndex =
-        (this.currentFrameIndex + 1) % this.overlayPNGs.length; // Cycle through overlay frames
+  // Still of the camera picture with the overlay at full camera resolution, as a JPEG Blob
+  // The "get closer" message is left out, the overlay has the opacity it has on screen
+  // Resolves with null if the camera stopped before the still was taken
+  async captureStill({ branding = true } = {}) {
+    try {
+      const source = this.cameraSource;
+      if (!source || !source.element) {
+        throw new Error("There is no camera picture to capture");
+      }
+      const logo = branding ? await this.loadBrandingLogo() : null;
+      if (!this.cameraSource || !this.cameraSource.element) return null; // Disposed meanwhile
+
+      const canvas = document.createElement("canvas");
+      canvas.width = source.width;
+      canvas.height = source.height;
+      const context = canvas.getContext("2d");
+      context.drawImage(source.element, 0, 0, canvas.width, canvas.height);
+
+      const result = this.latestResult;
+      const frame = result && result.homography && this.overlay ? this.overlay.getFrame(performance.now()) : null;
+      if (frame) {
+        if (!this.captureRenderer) {
+          this.captureRenderer = createOverlayRenderer();
+        }
+        this.captureRenderer.resize(canvas.width, canvas.height);
+        this.captureRenderer.draw(
+          context,
+          frame,
+          this.overlay.frameVersion,
+          scaleHomography(result.homography, canvas.width / result.width, canvas.height / result.height),
+          1 - this.calculateErrorMessageOpacity()
+        );
+      }
+      if (logo) {
+        drawBranding(context, canvas.width, canvas.height, logo);
+      }
+      return await canvasToStillBlob(canvas);
     } catch (error) {
-      logError('applyOverlay', error);
+      logError('captureStill', error);
+      throw error;
+    }
+  }
+
+  // Record the AR view as it is displayed until stopClip() or maxClipDuration
+  // Resolves with the clip as a Blob, WebM where the browser can record it
+  async recordClip({ branding = true } = {}) {
+    try {
+      if (!ClipRecorder.isSupported()) {
+        throw new Error("This browser cannot record clips");
+      }
+      if (this.clipRecorder) {
+        throw new Error("A clip is already being recorded");
+      }
+      if (!this.cameraSource || !this.cameraSource.element) {
+        throw new Error("There is no camera picture to record");
+      }
+
+      // Set before the logo is awaited, so a second call is refused meanwhile
+      this.clipRecorder = new ClipRecorder(document.createElement("canvas"), this.maxClipDuration);
+      this.clipCanvas = this.clipRecorder.canvas;
+      this.clipCanvas.width = this.displayingCanvas.width;
+      this.clipCanvas.height = this.displayingCanvas.height;
+      try {
+        this.clipBranding = branding ? await this.loadBrandingLogo() : null;
+        this.drawClipFrame();
+        return await this.clipRecorder.start();
+      } finally {
+        this.clipRecorder = null;
+        this.clipCanvas = null;
+        this.clipBranding = null;
+      }
+    } catch (error) {
+      logError('recordClip', error);
+      throw error;
+    }
+  }
+
+  stopClip() {
+    if (this.clipRecorder) {
+      this.clipRecorder.stop();
+    }
+  }
+
+  isRecordingClip() {
+    return this.clipRecorder !== null;
+  }
+
+  // Copy the displayed frame to the canvas the clip records, with the branding
+  drawClipFrame() {
+    try {
+      const context = this.clipCanvas.getContext("2d");
+      context.drawImage(this.displayingCanvas, 0, 0, this.clipCanvas.width, this.clipCanvas.height);
+      if (this.clipBranding) {
+        drawBranding(context, this.clipCanvas.width, this.clipCanvas.height, this.clipBranding);
+      }
+    } catch (error) {
+      logError('drawClipFrame', error);
+    }
+  }
+
+  // Resolves with the logo, or null if it could not be loaded: the capture goes ahead without it
+  loadBrandingLogo() {
+    if (!this.brandingLogo) {
+      this.brandingLogo = loadBrandingLogo(this.brandingLogoUrl).catch((error) => {
+        logError('loadBrandingLogo', error);
+        this.brandingLogo = null; // Try again with the next capture
+        return null;
+      });
+    }
+    return this.brandingLogo;
+  }
+
+  // Share a Blob of captureStill or recordClip with the Web Share API, or download it where files cannot be shared
+  // Resolves with "shared", "cancelled" or "downloaded"
+  async shareCapture(blob) {
+    try {
+      const name = this.activeMarker ? this.activeMarker.id : "IzzyMotion";
+      const time = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+      return await shareCapture(blob, `IzzyMotion-${name}-${time}`, "IzzyMotion");
+    } catch (error) {
+      logError('shareCapture', error);
+      throw error;
     }
   }
 
@@ -910,7 +1628,7 @@ class ARFeatureMatcher {
 
       // Display the error message at the center of the canvas with adjusted opacity
       this.displayingContext.fillText(
-        "GET CLOSER TO SEE THE MAGIC",
+        describeStatus(AR_STATUS.SEARCHING, this.statusLanguage).title,
         this.displayingCanvas.width / 2,
         this.displayingCanvas.height / 2
       );
@@ -920,29 +1638,7 @@ class ARFeatureMatcher {
   }
 }
 
-// Window onload function to initialize AR processing
-window.onload = () => {
-  try {
-    const referenceSrc = "HolyKingdom/MarkerSmall.jpg";
-    const overlayPath = "HolyKingdom/PNG_animation_small";
-    const arFeatureMatcher = new ARFeatureMatcher(
-      document.getElementById("outputCanvas"),
-      referenceSrc,
-      overlayPath
-    );
-
-    arFeatureMatcher.initialize();
-  } catch (err) {
-    console.error("window.onload error: ", err);
-    logError('window.onload', err);
-  }
-};
-
-// Cleanup OpenCV on window unload
-window.addEventListener("beforeunload", () => {
-  try {
-    cv.destroyAllWindows();
-  } catch (error) {
-    logError('beforeunload', error);
-  }
-});
\ No newline at end of file
+// localStorage key of the camera the visitor picked last
+ARFeatureMatcher.CAMERA_CHOICE_KEY = "izzymotion.cameraDeviceId";
+// Value of the camera drop-down entry that opens the file picker
+ARFeatureMatcher.FILE_SOURCE_OPTION = "file";
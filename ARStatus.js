@@ -0,0 +1,158 @@
+// States of the AR view as the visitor sees them, with their messages in every supported language.
+// ARFeatureMatcher reports the current one with the "statuschange" event; the page shows the blocking
+// ones with their action, the others are drawn on the canvas. Developer details only go to the console
+// and the "error" events, never into the messages, except for a broken config.json: only the site can fix
+// it, so its message names the artwork and the failing field.
+
+const AR_STATUS = Object.freeze({
+  LOADING: "loading",
+  PERMISSION_NEEDED: "permission-needed",
+  NO_CAMERA: "no-camera",
+  CAMERA_BUSY: "camera-busy",
+  UNSUPPORTED: "unsupported",
+  SEARCHING: "searching",
+  TRACKING: "tracking",
+  FATAL: "fatal",
+  CONFIG_ERROR: "config-error",
+});
+
+// Whether the AR view cannot go on without the visitor, and what the action of the message does:
+// "retry" opens the camera again (ARFeatureMatcher.retry), "reload" reloads the page
+const AR_STATUS_BEHAVIOUR = {
+  [AR_STATUS.LOADING]: { blocking: false, action: null },
+  [AR_STATUS.PERMISSION_NEEDED]: { blocking: true, action: "retry" },
+  [AR_STATUS.NO_CAMERA]: { blocking: true, action: "retry" },
+  [AR_STATUS.CAMERA_BUSY]: { blocking: true, action: "retry" },
+  [AR_STATUS.UNSUPPORTED]: { blocking: true, action: null },
+  [AR_STATUS.SEARCHING]: { blocking: false, action: null },
+  [AR_STATUS.TRACKING]: { blocking: false, action: null },
+  [AR_STATUS.FATAL]: { blocking: true, action: "reload" },
+  // Reloading loads the same config.json again
+  [AR_STATUS.CONFIG_ERROR]: { blocking: true, action: null },
+};
+
+const DEFAULT_STATUS_LANGUAGE = "en";
+
+const AR_STATUS_MESSAGES = {
+  en: {
+    [AR_STATUS.LOADING]: { title: "LOADING THE MAGIC", detail: "" },
+    [AR_STATUS.PERMISSION_NEEDED]: {
+      title: "Camera access needed",
+      detail:
+        "The artwork comes alive through your camera. Allow camera access for this site in your browser, " +
+        "and for your browser in the system settings, then try again.",
+    },
+    [AR_STATUS.NO_CAMERA]: {
+      title: "No camera found",
+      detail: "This device has no camera we can use. Connect one or open the page on your phone, then try again.",
+    },
+    [AR_STATUS.CAMERA_BUSY]: {
+      title: "The camera is busy",
+      detail: "Another app or browser tab is using the camera. Close it, then try again.",
+    },
+    [AR_STATUS.UNSUPPORTED]: {
+      title: "Browser not supported",
+      detail: "This browser cannot open the camera. Please open the page in a current Chrome, Safari or Firefox.",
+    },
+    [AR_STATUS.SEARCHING]: { title: "GET CLOSER TO SEE THE MAGIC", detail: "" },
+    [AR_STATUS.TRACKING]: { title: "ENJOY THE MAGIC", detail: "" },
+    [AR_STATUS.FATAL]: {
+      title: "Something went wrong",
+      detail: "The AR view could not start. Reloading the page usually helps.",
+    },
+    // The detail is the message of the ArtworkConfigError, see describeStatus
+    [AR_STATUS.CONFIG_ERROR]: { title: "This artwork cannot be shown", detail: "" },
+    actions: { retry: "Try again", reload: "Reload" },
+  },
+  de: {
+    [AR_STATUS.LOADING]: { title: "DIE MAGIE LÄDT", detail: "" },
+    [AR_STATUS.PERMISSION_NEEDED]: {
+      title: "Kamerazugriff benötigt",
+      detail:
+        "Das Kunstwerk erwacht durch deine Kamera zum Leben. Erlaube dieser Seite in deinem Browser und deinem " +
+        "Browser in den Systemeinstellungen den Kamerazugriff und versuche es dann erneut.",
+    },
+    [AR_STATUS.NO_CAMERA]: {
+      title: "Keine Kamera gefunden",
+      detail:
+        "Dieses Gerät hat keine nutzbare Kamera. Schließe eine an oder öffne die Seite auf deinem Handy " +
+        "und versuche es dann erneut.",
+    },
+    [AR_STATUS.CAMERA_BUSY]: {
+      title: "Die Kamera ist belegt",
+      detail: "Eine andere App oder ein anderer Tab nutzt die Kamera. Schließe sie und versuche es dann erneut.",
+    },
+    [AR_STATUS.UNSUPPORTED]: {
+      title: "Browser nicht unterstützt",
+      detail: "Dieser Browser kann die Kamera nicht öffnen. Bitte öffne die Seite in einem aktuellen Chrome, Safari oder Firefox.",
+    },
+    [AR_STATUS.SEARCHING]: { title: "KOMM NÄHER, UM DIE MAGIE ZU SEHEN", detail: "" },
+    [AR_STATUS.TRACKING]: { title: "GENIESSE DIE MAGIE", detail: "" },
+    [AR_STATUS.FATAL]: {
+      title: "Etwas ist schiefgelaufen",
+      detail: "Die AR-Ansicht konnte nicht starten. Meist hilft es, die Seite neu zu laden.",
+    },
+    [AR_STATUS.CONFIG_ERROR]: { title: "Dieses Kunstwerk kann nicht angezeigt werden", detail: "" },
+    actions: { retry: "Erneut versuchen", reload: "Neu laden" },
+  },
+};
+
+// First supported language of a locale like "de-AT" or a list like navigator.languages
+function resolveStatusLanguage(locales) {
+  const candidates = Array.isArray(locales) ? locales : [locales];
+  for (const locale of candidates) {
+    const language = String(locale || "").toLowerCase().split("-")[0];
+    if (AR_STATUS_MESSAGES[language]) return language;
+  }
+  return DEFAULT_STATUS_LANGUAGE;
+}
+
+// { state, blocking, action, actionLabel, title, detail } of a state in the given language
+// error is the cause of the state, the detail of CONFIG_ERROR is its message
+function describeStatus(state, language, error = null) {
+  const messages = AR_STATUS_MESSAGES[language] || AR_STATUS_MESSAGES[DEFAULT_STATUS_LANGUAGE];
+  const behaviour = AR_STATUS_BEHAVIOUR[state];
+  return {
+    state: state,
+    blocking: behaviour.blocking,
+    action: behaviour.action,
+    actionLabel: behaviour.action ? messages.actions[behaviour.action] : null,
+    title: messages[state].title,
+    detail: state === AR_STATUS.CONFIG_ERROR && error ? error.message : messages[state].detail,
+  };
+}
+
+// State for an error that stopped the AR view from starting
+function classifyStartError(error) {
+  return error && error.name === "ArtworkConfigError" ? AR_STATUS.CONFIG_ERROR : AR_STATUS.FATAL;
+}
+
+// State for an error of getUserMedia or of the checks before it
+function classifyCameraError(error) {
+  switch (error && error.name) {
+    case "NotAllowedError":
+    case "PermissionDeniedError":
+    case "SecurityError": // Blocked by a permissions policy of the page
+      return AR_STATUS.PERMISSION_NEEDED;
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+    case "OverconstrainedError": // Only reported once the default camera failed as well
+    case "ConstraintNotSatisfiedError":
+      return AR_STATUS.NO_CAMERA;
+    case "NotReadableError":
+    case "TrackStartError":
+    case "AbortError":
+      return AR_STATUS.CAMERA_BUSY;
+    case "NotSupportedError":
+      return AR_STATUS.UNSUPPORTED;
+    default:
+      return AR_STATUS.FATAL;
+  }
+}
+
+// Error thrown by the checks before getUserMedia, classified like the errors of getUserMedia
+function createCameraError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
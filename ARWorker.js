@@ -0,0 +1,98 @@
+// Web Worker running the FeaturePipeline off the main thread
+// Messages: { requestId, type, ... } in, { requestId, result } or { requestId, error } out
+
+// Report errors to the main thread, which shows them in its error log
+function logError(methodName, error) {
+  console.error(`Error in ${methodName}:`, error);
+  self.postMessage({
+    type: "log",
+    methodName: methodName,
+    message: error && error.message ? error.message : String(error),
+  });
+}
+
+importScripts(
+  "opencv.js",
+  "MarkerRegistry.js",
+  "OpticalFlowTracker.js",
+  "HomographySmoother.js",
+  "HomographyValidator.js",
+  "MarkerFeatures.js",
+  "OpenCVObjectCounter.js",
+  "FeatureDetectors.js",
+  "FeaturePipeline.js"
+);
+
+let pipeline = null;
+
+// Wait for the OpenCV.js runtime, like ARFeatureMatcher.initializeOpenCV does on the main thread
+const openCVReady = new Promise((resolve) => {
+  if (cv.Mat) {
+    resolve();
+  } else {
+    cv["onRuntimeInitialized"] = () => resolve();
+  }
+});
+
+const handlers = {
+  init({ settings }) {
+    if (pipeline) {
+      pipeline.delete();
+      pipeline = null; // Not left pointing at the deleted one if the new one fails
+    }
+    pipeline = new FeaturePipeline(settings);
+    return { ready: true };
+  },
+
+  addReference({ id, name, imageData, smoothing, markerMask, detectorSettings }) {
+    return pipeline.addReference(id, name, imageData, smoothing, markerMask, detectorSettings);
+  },
+
+  addPrecomputedReference({ id, name, features, smoothing, markerMask, detectorSettings }) {
+    return pipeline.addPrecomputedReference(
+      id,
+      name,
+      features,
+      smoothing,
+      markerMask,
+      detectorSettings
+    );
+  },
+
+  removeReference({ id }) {
+    return pipeline.removeReference(id);
+  },
+
+  configure({ settings }) {
+    return pipeline.configure(settings);
+  },
+
+  processFrame({ imageData }) {
+    return pipeline.processFrame(imageData);
+  },
+
+  dispose() {
+    if (pipeline) {
+      pipeline.delete();
+      pipeline = null;
+    }
+    return {};
+  },
+};
+
+self.onmessage = async (event) => {
+  const { requestId, type } = event.data;
+  try {
+    await openCVReady;
+    if (!handlers[type]) {
+      throw new Error(`Unknown message type ${type}`);
+    }
+    self.postMessage({ requestId: requestId, result: handlers[type](event.data) });
+  } catch (error) {
+    logError(`ARWorker.${type}`, error);
+    self.postMessage({
+      requestId: requestId,
+      error: error && error.message ? error.message : String(error),
+    });
+  }
+};
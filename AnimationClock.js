@@ -0,0 +1,92 @@
+// Picks the overlay animation frame from elapsed wall time, independent of the detection frame rate
+class AnimationClock {
+  constructor(frameCount, fps, loopMode = "loop", pauseWhenLost = false) {
+    try {
+      this.frameCount = frameCount;
+      this.fps = fps;
+      // "loop": start over after the last frame
+      // "once": play through once, then stop showing the overlay
+      // "pingpong": play forwards, then backwards, and so on
+      // "hold": play through once, then keep showing the last frame
+      this.loopMode = loopMode;
+      // Freeze the animation while the marker is out of view and continue where it stopped
+      this.pauseWhenLost = pauseWhenLost;
+
+      this.elapsedBeforePause = 0; // Playing time accumulated before the last pause, in ms
+      this.startTime = null; // Time the clock was last started or resumed, null while paused
+    } catch (error) {
+      logError('AnimationClock.constructor', error);
+    }
+  }
+
+  start(now = performance.now()) {
+    this.elapsedBeforePause = 0;
+    this.startTime = now;
+  }
+
+  pause(now = performance.now()) {
+    if (this.startTime === null) return;
+    this.elapsedBeforePause += now - this.startTime;
+    this.startTime = null;
+  }
+
+  resume(now = performance.now()) {
+    if (this.startTime !== null) return;
+    this.startTime = now;
+  }
+
+  get isPaused() {
+    return this.startTime === null;
+  }
+
+  // Tell the clock whether the marker is currently tracked
+  setMarkerVisible(visible, now = performance.now()) {
+    try {
+      if (!this.pauseWhenLost) return;
+      if (visible) {
+        this.resume(now);
+      } else {
+        this.pause(now);
+      }
+    } catch (error) {
+      logError('AnimationClock.setMarkerVisible', error);
+    }
+  }
+
+  // Playing time in ms
+  getElapsedTime(now = performance.now()) {
+    return (
+      this.elapsedBeforePause +
+      (this.startTime === null ? 0 : now - this.startTime)
+    );
+  }
+
+  // Index of the frame to show at the given time, or -1 when nothing should be shown
+  getFrameIndex(now = performance.now()) {
+    try {
+      if (this.frameCount <= 0) return -1;
+      if (this.frameCount === 1) return 0;
+
+      const frameNumber = Math.floor((this.getElapsedTime(now) * this.fps) / 1000);
+
+      switch (this.loopMode) {
+        case "once":
+          return frameNumber < this.frameCount ? frameNumber : -1;
+        case "hold":
+          return Math.min(frameNumber, this.frameCount - 1);
+        case "pingpong": {
+          // One period goes 0 .. n-1 .. 1 without repeating the turning frames
+          const period = 2 * this.frameCount - 2;
+          const position = frameNumber % period;
+          return position < this.frameCount ? position : period - position;
+        }
+        case "loop":
+        default:
+          return frameNumber % this.frameCount;
+      }
+    } catch (error) {
+      logError('AnimationClock.getFrameIndex', error);
+      return 0;
+    }
+  }
+}
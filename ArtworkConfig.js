@@ -0,0 +1,417 @@
+// Thrown when an artwork's config.json cannot be loaded or does not match the schema
+class ArtworkConfigError extends Error {
+  constructor(artworkName, message, problems = []) {
+    super(`Artwork "${artworkName}": ${message}`);
+    this.name = "ArtworkConfigError";
+    this.artworkName = artworkName;
+    this.problems = problems; // List of individual schema violations
+  }
+}
+
+// Schema of an artwork's config.json. Every path inside is relative to the artwork folder.
+// Keys that are not listed here are reported as errors so typos do not get ignored silently.
+const MARKER_MASK_POLYGON_SCHEMA = {
+  type: "array",
+  minItems: 6,
+  items: { type: "number", min: 0, max: 1 },
+};
+
+const ARTWORK_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    // Reference image the camera feed is matched against
+    marker: { type: "string", required: true },
+    // Features of the marker precomputed with tools/precompute-markers.js, used instead of detecting them at startup
+    markerFeatures: { type: "string" },
+    // Parts of the marker its features are detected in, so plain or repetitive areas do not waste keypoints.
+    // Polygons are flat [x0, y0, x1, y1, ...] lists in fractions of the marker's width and height;
+    // without include the whole marker is used, exclude cuts areas out of it
+    markerMask: {
+      type: "object",
+      properties: {
+        include: { type: "array", minItems: 1, items: MARKER_MASK_POLYGON_SCHEMA },
+        exclude: { type: "array", minItems: 1, items: MARKER_MASK_POLYGON_SCHEMA },
+      },
+    },
+    overlay: {
+      type: "object",
+      required: true,
+      // A folder holding PNG_0001.png ... PNG_<frameCount>.png, an explicit list of frame files
+      // or a (transparent) WebM/MP4 video
+      exactlyOneOf: ["path", "frames", "video"],
+      properties: {
+        path: { type: "string" },
+        frameCount: { type: "integer", min: 1, max: 10000 },
+        frames: { type: "array", minItems: 1, items: { type: "string" } },
+        video: { type: "string" },
+        // Used when the browser cannot play "video", e.g. an HEVC MP4 with alpha for Safari
+        videoFallback: { type: "string" },
+        // Play the video's soundtrack while the marker is in view
+        audio: { type: "boolean" },
+        fps: { type: "number", min: 0, exclusiveMin: true, max: 120 },
+        // How the animation continues after its last frame, see AnimationClock
+        loopMode: { type: "string", enum: ["loop", "once", "pingpong", "hold"] },
+        // Freeze the animation while the marker is out of view
+        pauseWhenLost: { type: "boolean" },
+      },
+    },
+    // Pose smoothing of this marker, see ComprehensiveSmoothnessFilter
+    smoothing: {
+      type: "object",
+      properties: {
+        // Number of frames averaged, 1 turns averaging off
+        windowSize: { type: "integer", min: 1, max: 30 },
+        // Weight of the newest pose in the moving average, 1 turns it off
+        alpha: { type: "number", min: 0, exclusiveMin: true, max: 1 },
+        // Corner jump, relative to the marker diagonal, that is treated as a wrong detection
+        outlierThreshold: { type: "number", min: 0, exclusiveMin: true, max: 10 },
+      },
+    },
+    // Overrides for the ARFeatureMatcher tuning values, see its constructor for their meaning.
+    // The DETECTOR_SETTING_KEYS apply to this artwork's marker, the others to the whole page, see
+    // ArtworkConfig.getPageTuning
+    tuning: {
+      type: "object",
+      properties: {
+        // Detector of the marker and frame features, see FeatureDetectors.js
+        featureDetector: { type: "string", enum: ["AKAZE", "ORB", "BRISK"] },
+        // In the unit of the featureDetector, its limits are checked by validateTuningRules
+        featureDetectionSensitivity: { type: "number", min: 0, exclusiveMin: true },
+        initialProcessingCanvasWidth: { type: "integer", min: 50, max: 4096 },
+        matchDistanceThreshold: { type: "number", min: 0, exclusiveMin: true, max: 1 },
+        displayingThresholdQuality: { type: "number", min: 0, max: 1 },
+        qualityIndicatorFadeRange: { type: "number", min: 0, exclusiveMin: true, max: 1 },
+        targetFrameRate: { type: "number", min: 0, exclusiveMin: true, max: 120 },
+        minFrameRate: { type: "number", min: 0, exclusiveMin: true, max: 120 },
+        minProcessingCanvasWidth: { type: "integer", min: 50, max: 4096 },
+        maxProcessingCanvasWidth: { type: "integer", min: 50, max: 4096 },
+        processingCanvasWidthStep: { type: "integer", min: 1, max: 1000 },
+        nFramesForAveraging: { type: "integer", min: 1, max: 120 },
+        desiredZoomFactor: { type: "number", min: 0, exclusiveMin: true, max: 20 },
+        trackingEnabled: { type: "boolean" },
+        minTrackedPoints: { type: "integer", min: 4, max: 1000 },
+        maxTrackingReprojectionError: { type: "number", min: 0, exclusiveMin: true, max: 100 },
+        maxTrackedFrames: { type: "integer", min: 1, max: 10000 },
+        maxDetectionInterval: { type: "integer", min: 1, max: 10000 },
+        maxFeatureDetectionSensitivity: { type: "number", min: 0, exclusiveMin: true },
+        qualitySettlingFrames: { type: "integer", min: 1, max: 1000 },
+        minInlierCount: { type: "integer", min: 4, max: 1000 },
+        minInlierRatio: { type: "number", min: 0, max: 1 },
+        minMarkerAreaRatio: { type: "number", min: 0, max: 1 },
+        maxMarkerAreaRatio: { type: "number", min: 0, exclusiveMin: true, max: 100 },
+        maxAspectRatioDistortion: { type: "number", min: 1, max: 100 },
+        // Only detect around the marker's last position while it is in view, see FeaturePipeline.updateSearchMask
+        searchMaskEnabled: { type: "boolean" },
+        referenceScales: {
+          type: "array",
+          minItems: 1,
+          items: { type: "number", min: 0.05, max: 4 },
+        },
+      },
+    },
+  },
+};
+
+// Schema of artworks.json, the list of artwork folders a page recognizes by default
+const ARTWORK_INDEX_SCHEMA = {
+  type: "object",
+  properties: {
+    artworks: { type: "array", required: true, minItems: 1, items: { type: "string" } },
+  },
+};
+
+// Collect every violation of the schema instead of stopping at the first one
+function validateAgainstSchema(value, schema, path, problems) {
+  const label = path || "config";
+
+  if (schema.type === "object") {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        if (propertySchema.required) {
+          problems.push(`${propertyPath} is required`);
+        }
+        continue;
+      }
+      validateAgainstSchema(value[key], propertySchema, propertyPath, problems);
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!(key in schema.properties)) {
+        problems.push(`${path ? `${path}.${key}` : key} is not a known setting`);
+      }
+    }
+
+    if (schema.exactlyOneOf) {
+      const present = schema.exactlyOneOf.filter((key) => value[key] !== undefined);
+      if (present.length !== 1) {
+        problems.push(
+          `${label} must define exactly one of ${schema.exactlyOneOf.join(", ")}`
+        );
+      }
+    }
+  } else if (schema.type === "array") {
+    if (!Array.isArray(value)) {
+      problems.push(`${label} must be an array`);
+      return;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push(`${label} must contain at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, index) =>
+      validateAgainstSchema(item, schema.items, `${label}[${index}]`, problems)
+    );
+  } else if (schema.type === "string") {
+    if (typeof value !== "string" || value.trim() === "") {
+      problems.push(`${label} must be a non-empty string`);
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${label} must be one of ${schema.enum.join(", ")}`);
+    }
+  } else if (schema.type === "boolean") {
+    if (typeof value !== "boolean") {
+      problems.push(`${label} must be true or false`);
+    }
+  } else if (schema.type === "number" || schema.type === "integer") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      problems.push(`${label} must be a number`);
+      return;
+    }
+    if (schema.type === "integer" && !Number.isInteger(value)) {
+      problems.push(`${label} must be a whole number`);
+    }
+    if (schema.min !== undefined) {
+      if (schema.exclusiveMin ? value <= schema.min : value < schema.min) {
+        problems.push(
+          `${label} must be ${schema.exclusiveMin ? "greater than" : "at least"} ${schema.min}`
+        );
+      }
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      problems.push(`${label} must be at most ${schema.max}`);
+    }
+  }
+}
+
+// Rules of the tuning that involve more than one value, for config.json and ARFeatureMatcher.updateTuning
+// Values that are left out are not checked, the ARFeatureMatcher defaults fit each other
+function validateTuningRules(tuning, problems) {
+  if (!tuning || typeof tuning !== "object") return;
+
+  // The thresholds are in the unit of the detector, see FeatureDetectors.js
+  const detectorType = tuning.featureDetector === undefined ? DEFAULT_FEATURE_DETECTOR : tuning.featureDetector;
+  if (Object.keys(FEATURE_DETECTORS).includes(detectorType)) {
+    const { min, max } = FEATURE_DETECTORS[detectorType].thresholdLimits;
+    for (const key of ["featureDetectionSensitivity", "maxFeatureDetectionSensitivity"]) {
+      const value = tuning[key];
+      if (typeof value === "number" && (value < min || value > max)) {
+        problems.push(`tuning.${key} must be between ${min} and ${max} for ${detectorType}`);
+      }
+    }
+  }
+
+  // The AdaptiveQualityController moves between these, swapped limits would make it oscillate
+  const orderedPairs = [
+    ["minProcessingCanvasWidth", "initialProcessingCanvasWidth"],
+    ["initialProcessingCanvasWidth", "maxProcessingCanvasWidth"],
+    ["minProcessingCanvasWidth", "maxProcessingCanvasWidth"],
+    ["minFrameRate", "targetFrameRate"],
+    ["featureDetectionSensitivity", "maxFeatureDetectionSensitivity"],
+  ];
+  for (const [lowerKey, upperKey] of orderedPairs) {
+    if (
+      typeof tuning[lowerKey] === "number" &&
+      typeof tuning[upperKey] === "number" &&
+      tuning[lowerKey] > tuning[upperKey]
+    ) {
+      problems.push(`tuning.${lowerKey} must not be greater than tuning.${upperKey}`);
+    }
+  }
+}
+
+class ArtworkConfig {
+  // baseUrl is the folder holding the artwork folders, the page's folder when empty
+  constructor(artworkName, manifest, baseUrl = "") {
+    this.artworkName = artworkName;
+    this.name = manifest.name || artworkName;
+    this.baseUrl = `${baseUrl}${artworkName}/`;
+
+    // Resolved URLs, ready to be loaded
+    this.markerUrl = this.resolve(manifest.marker);
+    this.markerFeaturesUrl = manifest.markerFeatures
+      ? this.resolve(manifest.markerFeatures)
+      : null;
+    // PNG sequences always end up as a complete list of frame URLs
+    this.overlayFrameUrls = null;
+    if (manifest.overlay.frames) {
+      this.overlayFrameUrls = manifest.overlay.frames.map((frame) => this.resolve(frame));
+    } else if (manifest.overlay.path) {
+      const overlayPath = this.resolve(manifest.overlay.path);
+      this.overlayFrameUrls = [];
+      for (let i = 1; i <= manifest.overlay.frameCount; i++) {
+        this.overlayFrameUrls.push(`${overlayPath}/PNG_${String(i).padStart(4, "0")}.png`);
+      }
+    }
+    this.overlayVideoUrl = manifest.overlay.video
+      ? this.resolve(manifest.overlay.video)
+      : null;
+    this.overlayVideoFallbackUrl = manifest.overlay.videoFallback
+      ? this.resolve(manifest.overlay.videoFallback)
+      : null;
+    this.overlayAudio = manifest.overlay.audio === true;
+    this.overlayFrameRate = manifest.overlay.fps || ArtworkConfig.DEFAULT_FRAME_RATE;
+    this.overlayLoopMode = manifest.overlay.loopMode || "loop";
+    this.overlayPauseWhenLost = manifest.overlay.pauseWhenLost === true;
+
+    // { include, exclude } polygons, or null to detect features in the whole marker
+    this.markerMask = manifest.markerMask
+      ? { include: manifest.markerMask.include || [], exclude: manifest.markerMask.exclude || [] }
+      : null;
+    this.smoothing = { ...(manifest.smoothing || {}) };
+    this.tuning = { ...(manifest.tuning || {}) };
+  }
+
+  // Resolve a path from config.json relative to the artwork folder
+  resolve(relativePath) {
+    return this.baseUrl + relativePath.replace(/^\.?\//, "");
+  }
+
+  // Check a parsed manifest against the schema and throw with every problem found
+  static validate(artworkName, manifest) {
+    const problems = [];
+    validateAgainstSchema(manifest, ARTWORK_CONFIG_SCHEMA, "", problems);
+
+    // Rules that involve more than one setting
+    const overlay = manifest && manifest.overlay;
+    if (overlay && typeof overlay === "object") {
+      if (overlay.path !== undefined && overlay.frameCount === undefined) {
+        problems.push("overlay.frameCount is required together with overlay.path");
+      }
+      if (overlay.path === undefined && overlay.frameCount !== undefined) {
+        problems.push("overlay.frameCount can only be used together with overlay.path");
+      }
+      if (overlay.video === undefined) {
+        for (const key of ["videoFallback", "audio"]) {
+          if (overlay[key] !== undefined) {
+            problems.push(`overlay.${key} can only be used together with overlay.video`);
+          }
+        }
+      } else if (overlay.loopMode === "pingpong") {
+        problems.push("overlay.loopMode pingpong is not supported for video overlays");
+      }
+    }
+    const markerMask = manifest && manifest.markerMask;
+    if (markerMask && typeof markerMask === "object") {
+      for (const key of ["include", "exclude"]) {
+        (Array.isArray(markerMask[key]) ? markerMask[key] : []).forEach((polygon, index) => {
+          if (Array.isArray(polygon) && polygon.length % 2 !== 0) {
+            problems.push(`markerMask.${key}[${index}] must hold x, y pairs`);
+          }
+        });
+      }
+    }
+    validateTuningRules(manifest && manifest.tuning, problems);
+
+    if (problems.length > 0) {
+      throw new ArtworkConfigError(
+        artworkName,
+        `config.json is invalid: ${problems.join("; ")}`,
+        problems
+      );
+    }
+  }
+
+  // The tuning values of artworks recognized together that apply to the whole page, like the processing
+  // width and the frame rates: all but the DETECTOR_SETTING_KEYS, which every marker keeps for itself.
+  // One page has one value of each, taken from the first artwork that sets it, in the order of
+  // artworks.json or ?artwork=; other values are ignored with a warning
+  static getPageTuning(artworkConfigs) {
+    const pageTuning = {};
+    const sources = {}; // Artwork each value of pageTuning comes from
+    for (const artworkConfig of artworkConfigs) {
+      for (const [key, value] of Object.entries(artworkConfig.tuning)) {
+        if (DETECTOR_SETTING_KEYS.includes(key)) continue;
+        if (!(key in pageTuning)) {
+          pageTuning[key] = value;
+          sources[key] = artworkConfig.artworkName;
+        } else if (JSON.stringify(value) !== JSON.stringify(pageTuning[key])) {
+          console.warn(
+            `${artworkConfig.artworkName}/config.json sets tuning.${key} to ${JSON.stringify(value)}, ` +
+              `the page uses ${JSON.stringify(pageTuning[key])} from ${sources[key]}/config.json`
+          );
+        }
+      }
+    }
+    return pageTuning;
+  }
+
+  // Fetch the list of artwork folders from artworks.json
+  static async loadIndex(baseUrl = "") {
+    const response = await fetch(baseUrl + ArtworkConfig.INDEX_URL, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(
+        `${ArtworkConfig.INDEX_URL} could not be loaded (HTTP ${response.status})`
+      );
+    }
+
+    let index;
+    try {
+      index = JSON.parse(await response.text());
+    } catch (err) {
+      throw new Error(`${ArtworkConfig.INDEX_URL} is not valid JSON (${err.message})`);
+    }
+
+    const problems = [];
+    validateAgainstSchema(index, ARTWORK_INDEX_SCHEMA, "", problems);
+    if (problems.length > 0) {
+      throw new Error(`${ArtworkConfig.INDEX_URL} is invalid: ${problems.join("; ")}`);
+    }
+    return index.artworks;
+  }
+
+  // Fetch, parse and validate <artworkName>/config.json
+  static async load(artworkName, baseUrl = "") {
+    // Artwork names come from the URL, so only plain folder names are accepted
+    if (!/^[A-Za-z0-9_-]+$/.test(artworkName || "")) {
+      throw new ArtworkConfigError(artworkName, "is not a valid artwork name");
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${artworkName}/config.json`, { cache: "no-cache" });
+    } catch (err) {
+      throw new ArtworkConfigError(
+        artworkName,
+        `config.json could not be loaded (${err.message})`
+      );
+    }
+    if (!response.ok) {
+      throw new ArtworkConfigError(
+        artworkName,
+        `config.json could not be loaded (HTTP ${response.status})`
+      );
+    }
+
+    const text = await response.text();
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (err) {
+      throw new ArtworkConfigError(
+        artworkName,
+        `config.json is not valid JSON (${err.message})`
+      );
+    }
+
+    ArtworkConfig.validate(artworkName, manifest);
+    return new ArtworkConfig(artworkName, manifest, baseUrl);
+  }
+}
+
+ArtworkConfig.INDEX_URL = "artworks.json";
+ArtworkConfig.DEFAULT_FRAME_RATE = 12;
@@ -0,0 +1,214 @@
+// Camera sources deliver the picture the markers are searched in. All of them share the same interface:
+// start() resolves once the first frame can be drawn, then element (a video or image element),
+// width and height are set; pause() and resume() interrupt the picture, e.g. while the page is hidden;
+// stop() releases the source for good. Live cameras also expose their stream.
+
+// Live camera through getUserMedia, the rear camera by default or a device from enumerateDevices
+class LiveCameraSource {
+  constructor(deviceId = null) {
+    this.deviceId = deviceId;
+    this.stream = null;
+    this.element = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  getConstraints() {
+    if (this.deviceId) {
+      return { video: { deviceId: { exact: this.deviceId } } };
+    }
+    return {
+      video: {
+        facingMode: { ideal: "environment" }, // Attempt to use back camera
+      },
+    };
+  }
+
+  async start() {
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+      this.element = createHiddenVideoElement();
+      this.element.srcObject = this.stream;
+      await waitForVideoFrame(this.element);
+      await this.element.play();
+      this.width = this.element.videoWidth;
+      this.height = this.element.videoHeight;
+      // Remember the device that was actually opened, e.g. for the environment camera
+      const [videoTrack] = this.stream.getVideoTracks();
+      const trackSettings = videoTrack && videoTrack.getSettings ? videoTrack.getSettings() : {};
+      if (trackSettings.deviceId) {
+        this.deviceId = trackSettings.deviceId;
+      }
+    } catch (error) {
+      // Rethrow the error to be handled in initializeCamera
+      this.stop();
+      logError('LiveCameraSource.start', error);
+      throw error;
+    }
+  }
+
+  // The camera is released while paused, so the recording indicator goes off
+  pause() {
+    this.stop();
+  }
+
+  // Reopens the same camera
+  resume() {
+    return this.start();
+  }
+
+  stop() {
+    try {
+      if (this.stream) {
+        this.stream.getTracks().forEach((track) => track.stop());
+        this.stream = null;
+      }
+      removeVideoElement(this.element);
+      this.element = null;
+    } catch (error) {
+      logError('LiveCameraSource.stop', error);
+    }
+  }
+}
+
+// A recorded video (URL or a file picked on the device), played in a loop instead of the camera
+class VideoFileSource {
+  constructor(url) {
+    this.url = url;
+    this.stream = null;
+    this.element = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  async start() {
+    try {
+      this.element = createHiddenVideoElement();
+      this.element.crossOrigin = "anonymous"; // Needed to read the frames back
+      this.element.loop = true;
+      this.element.src = this.url;
+      await waitForVideoFrame(this.element);
+      await this.element.play();
+      this.width = this.element.videoWidth;
+      this.height = this.element.videoHeight;
+    } catch (error) {
+      this.stop();
+      logError('VideoFileSource.start', error);
+      throw error;
+    }
+  }
+
+  pause() {
+    if (this.element) this.element.pause();
+  }
+
+  resume() {
+    return this.element.play();
+  }
+
+  stop() {
+    try {
+      removeVideoElement(this.element);
+      this.element = null;
+      revokeObjectUrl(this.url);
+    } catch (error) {
+      logError('VideoFileSource.stop', error);
+    }
+  }
+}
+
+// A still image (URL or a file picked on the device), e.g. a photo of the artwork
+class StillImageSource {
+  constructor(url) {
+    this.url = url;
+    this.stream = null;
+    this.element = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = "anonymous"; // Needed to read the pixels back
+      image.onload = () => {
+        this.element = image;
+        this.width = image.naturalWidth;
+        this.height = image.naturalHeight;
+        resolve();
+      };
+      image.onerror = () => {
+        const err = new Error(`Image ${this.url} could not be loaded`);
+        logError('StillImageSource.start - image.onerror', err);
+        reject(err);
+      };
+      image.src = this.url;
+    });
+  }
+
+  pause() {}
+
+  resume() {
+    return Promise.resolve();
+  }
+
+  stop() {
+    this.element = null;
+    revokeObjectUrl(this.url);
+  }
+}
+
+function createHiddenVideoElement() {
+  const video = document.createElement("video");
+  video.setAttribute("playsinline", "true");
+  video.muted = true;
+  video.style.display = "none"; // Hide the video element from view
+  document.body.appendChild(video);
+  return video;
+}
+
+function removeVideoElement(video) {
+  if (!video) return;
+  video.pause();
+  video.srcObject = null;
+  video.removeAttribute("src");
+  video.load(); // Release the media resource
+  video.remove();
+}
+
+// Files picked on the device are loaded through object URLs, which hold on to the file until revoked
+function revokeObjectUrl(url) {
+  if (url.startsWith("blob:")) {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Resolve once the video has its dimensions and a first frame to draw
+function waitForVideoFrame(video) {
+  return new Promise((resolve, reject) => {
+    if (video.readyState >= 2) {
+      resolve();
+      return;
+    }
+    video.onloadeddata = () => resolve();
+    video.onerror = () => reject(new Error("The video could not be loaded"));
+  });
+}
+
+// Create a camera source from ?source=<url>: videos by their extension, anything else as an image
+function createCameraSourceFromUrl(url) {
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  if (["mp4", "webm", "mov", "m4v"].includes(extension)) {
+    return new VideoFileSource(url);
+  }
+  return new StillImageSource(url);
+}
+
+// Create a camera source from a file picked on the device
+function createCameraSourceFromFile(file) {
+  const url = URL.createObjectURL(file);
+  if (file.type.startsWith("video/")) {
+    return new VideoFileSource(url);
+  }
+  return new StillImageSource(url);
+}
@@ -0,0 +1,257 @@
+// The ?debug view of the AR pipeline, drawn on top of the displaying canvas: the keypoints of the last
+// detection, its good matches with a line to where the homography puts their reference keypoint, the
+// RANSAC inliers (the tracked points while tracking), the area the detection was limited to and the
+// outline of the marker, with a HUD of frame rates, processing width, counts, the quality history and
+// the time every stage took. The pipeline only collects the points with the collectDebugData setting.
+
+const DEBUG_QUALITY_HISTORY_LENGTH = 150; // Pipeline results in the graph
+// Weight of a new sample in the smoothed frame rates and timings
+const DEBUG_SMOOTHING_FACTOR = 0.1;
+const DEBUG_COLORS = {
+  keypoint: "rgba(255, 255, 0, 0.6)",
+  match: "rgb(0, 170, 255)",
+  inlier: "rgb(0, 255, 90)",
+  outline: "rgb(255, 0, 200)",
+  searchRegion: "rgba(0, 220, 255, 0.8)",
+  text: "rgb(255, 255, 255)",
+  background: "rgba(0, 0, 0, 0.6)",
+  threshold: "rgba(255, 80, 80, 0.9)",
+  opaque: "rgba(80, 255, 80, 0.9)",
+};
+
+function smoothDebugValue(average, sample) {
+  return average === null ? sample : average + DEBUG_SMOOTHING_FACTOR * (sample - average);
+}
+
+class DebugOverlay {
+  // settings: { displayingThresholdQuality, qualityIndicatorMax }, drawn as lines in the quality graph
+  constructor(settings) {
+    try {
+      this.displayingThresholdQuality = settings.displayingThresholdQuality;
+      this.qualityIndicatorMax = settings.qualityIndicatorMax;
+
+      this.lastRenderTime = null;
+      this.renderFrameRate = null;
+      this.lastResultTime = null;
+      this.processingFrameRate = null;
+      // Smoothed milliseconds per stage, warp is measured on the main thread
+      this.timings = { detect: null, match: null, homography: null, track: null, warp: null };
+      this.qualityHistory = []; // { quality, average, tracking } per pipeline result
+    } catch (error) {
+      logError('DebugOverlay.constructor', error);
+    }
+  }
+
+  // Call once per drawn camera frame
+  recordRender(now) {
+    if (this.lastRenderTime !== null) {
+      this.renderFrameRate = smoothDebugValue(this.renderFrameRate, 1000 / (now - this.lastRenderTime));
+    }
+    this.lastRenderTime = now;
+  }
+
+  // Call with every result of the pipeline
+  recordResult(now, result) {
+    try {
+      if (this.lastResultTime !== null) {
+        this.processingFrameRate = smoothDebugValue(
+          this.processingFrameRate,
+          1000 / (now - this.lastResultTime)
+        );
+      }
+      this.lastResultTime = now;
+
+      // Tracked frames skip detection and matching, detections skip tracking: only stages that ran count
+      for (const [stage, time] of Object.entries(result.timings || {})) {
+        if (time > 0) {
+          this.timings[stage] = smoothDebugValue(this.timings[stage], time);
+        }
+      }
+
+      this.qualityHistory.push({
+        quality: result.qualityIndicator,
+        average: result.averageQualityIndicator,
+        tracking: result.tracking,
+      });
+      if (this.qualityHistory.length > DEBUG_QUALITY_HISTORY_LENGTH) {
+        this.qualityHistory.shift();
+      }
+    } catch (error) {
+      logError('DebugOverlay.recordResult', error);
+    }
+  }
+
+  // Milliseconds the overlay renderer took to warp and draw the overlay
+  recordWarp(time) {
+    this.timings.warp = smoothDebugValue(this.timings.warp, time);
+  }
+
+  // Draw the points and the outline of result, a pipeline result of a width x height processing frame,
+  // scaled to the canvas, and the HUD. marker is the { width, height } of its reference, or null
+  draw(context, canvasWidth, canvasHeight, result, marker) {
+    try {
+      context.save();
+      if (result) {
+        const scaleX = canvasWidth / result.width;
+        const scaleY = canvasHeight / result.height;
+        if (result.debug) {
+          if (result.debug.searchRegion) {
+            this.drawSearchRegion(context, result.debug.searchRegion, scaleX, scaleY);
+          }
+          this.drawPoints(context, result.debug.keypoints, scaleX, scaleY, DEBUG_COLORS.keypoint, 1.5);
+          if (result.homography) {
+            this.drawMatchLines(context, result.debug, result.homography, scaleX, scaleY);
+          }
+          this.drawPoints(context, result.debug.matches, scaleX, scaleY, DEBUG_COLORS.match, 3);
+          this.drawPoints(context, result.debug.inliers, scaleX, scaleY, DEBUG_COLORS.inlier, 3);
+        }
+        if (result.homography && marker) {
+          this.drawOutline(context, result.homography, marker, scaleX, scaleY);
+        }
+      }
+      this.drawHud(context, canvasWidth, result);
+      context.restore();
+    } catch (error) {
+      logError('DebugOverlay.draw', error);
+    }
+  }
+
+  drawPoints(context, points, scaleX, scaleY, color, radius) {
+    context.fillStyle = color;
+    context.beginPath();
+    for (let k = 0; k < points.length; k += 2) {
+      const x = points[k] * scaleX;
+      const y = points[k + 1] * scaleY;
+      context.moveTo(x + radius, y);
+      context.arc(x, y, radius, 0, 2 * Math.PI);
+    }
+    context.fill();
+  }
+
+  // A line from every matched frame keypoint to its reference keypoint projected into the frame:
+  // short for the matches that fit the pose, long for the wrong ones
+  drawMatchLines(context, debug, homography, scaleX, scaleY) {
+    const projected = projectPoints(homography, debug.matchReferencePoints);
+    context.strokeStyle = DEBUG_COLORS.match;
+    context.lineWidth = 1;
+    context.beginPath();
+    for (let k = 0; k < debug.matches.length; k += 2) {
+      context.moveTo(debug.matches[k] * scaleX, debug.matches[k + 1] * scaleY);
+      context.lineTo(projected[k] * scaleX, projected[k + 1] * scaleY);
+    }
+    context.stroke();
+  }
+
+  // Dashed border of the search mask, see FeaturePipeline.updateSearchMask
+  drawSearchRegion(context, region, scaleX, scaleY) {
+    context.strokeStyle = DEBUG_COLORS.searchRegion;
+    context.lineWidth = 1;
+    context.setLineDash([6, 4]);
+    context.beginPath();
+    for (let k = 0; k < region.length; k += 2) {
+      context.lineTo(region[k] * scaleX, region[k + 1] * scaleY);
+    }
+    context.closePath();
+    context.stroke();
+    context.setLineDash([]);
+  }
+
+  // The reference marker's border projected with the homography, its first corner marked
+  drawOutline(context, homography, marker, scaleX, scaleY) {
+    const corners = projectMarkerCorners(homography, marker.width, marker.height);
+    context.strokeStyle = DEBUG_COLORS.outline;
+    context.lineWidth = 2;
+    context.beginPath();
+    for (let k = 0; k < 8; k += 2) {
+      context.lineTo(corners[k] * scaleX, corners[k + 1] * scaleY);
+    }
+    context.closePath();
+    context.stroke();
+    context.fillStyle = DEBUG_COLORS.outline;
+    context.fillRect(corners[0] * scaleX - 4, corners[1] * scaleY - 4, 8, 8);
+  }
+
+  drawHud(context, canvasWidth, result) {
+    const format = (value, digits = 1) => (value === null || value === undefined ? "-" : value.toFixed(digits));
+    const timings = this.timings;
+    const lines = [
+      `render ${format(this.renderFrameRate)} fps  pipeline ${format(this.processingFrameRate)} fps`,
+      result
+        ? `width ${result.width}x${result.height}  ${result.tracking ? "tracking" : "detection"}` +
+          (result.referenceScale ? `  level ${result.referenceScale}` : "")
+        : "no result yet",
+    ];
+    if (result) {
+      const inlierCount = result.debug ? result.debug.inliers.length / 2 : "-";
+      lines.push(
+        result.tracking
+          ? `tracked ${result.trackedPointCount}`
+          : `keypoints ${result.keypointCount}  matches ${result.goodMatchCount}  inliers ${inlierCount}`,
+        `quality ${format(result.qualityIndicator, 3)}  average ${format(result.averageQualityIndicator, 3)}`
+      );
+      if (result.validation && result.validation.lastRejectionReason) {
+        lines.push(`last rejection ${result.validation.lastRejectionReason}`);
+      }
+    }
+    lines.push(
+      `detect ${format(timings.detect)}  match ${format(timings.match)}  homography ${format(timings.homography)} ms`,
+      `track ${format(timings.track)}  warp ${format(timings.warp)} ms`
+    );
+
+    const fontSize = 12;
+    const lineHeight = fontSize + 3;
+    const graphHeight = 50;
+    const padding = 6;
+    const panelWidth = Math.min(canvasWidth - 2 * padding, 320);
+    const panelHeight = padding * 3 + lines.length * lineHeight + graphHeight;
+
+    context.fillStyle = DEBUG_COLORS.background;
+    context.fillRect(padding, padding, panelWidth, panelHeight);
+    context.font = `${fontSize}px monospace`;
+    context.fillStyle = DEBUG_COLORS.text;
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    lines.forEach((line, index) => {
+      context.fillText(line, padding * 2, padding * 2 + index * lineHeight);
+    });
+
+    this.drawQualityGraph(
+      context,
+      padding * 2,
+      padding * 2 + lines.length * lineHeight,
+      panelWidth - padding * 2,
+      graphHeight
+    );
+  }
+
+  // Quality of every result (dots, dimmed while tracking) and its rolling average (line), with the
+  // thresholds at which the overlay starts to show and is fully opaque
+  drawQualityGraph(context, x, y, width, height) {
+    const history = this.qualityHistory;
+    // Room above the opaque threshold, so the interesting range fills the graph
+    const maxQuality = Math.max(this.qualityIndicatorMax * 2, ...history.map((entry) => entry.quality));
+    const toY = (quality) => y + height - (Math.min(quality, maxQuality) / maxQuality) * height;
+    const step = width / DEBUG_QUALITY_HISTORY_LENGTH;
+
+    context.lineWidth = 1;
+    for (const [quality, color] of [
+      [this.displayingThresholdQuality, DEBUG_COLORS.threshold],
+      [this.qualityIndicatorMax, DEBUG_COLORS.opaque],
+    ]) {
+      context.strokeStyle = color;
+      context.beginPath();
+      context.moveTo(x, toY(quality));
+      context.lineTo(x + width, toY(quality));
+      context.stroke();
+    }
+
+    history.forEach((entry, index) => {
+      context.fillStyle = entry.tracking ? "rgba(255, 255, 255, 0.3)" : DEBUG_COLORS.text;
+      context.fillRect(x + index * step, toY(entry.quality) - 1, 2, 2);
+    });
+    context.strokeStyle = DEBUG_COLORS.match;
+    context.beginPath();
+    history.forEach((entry, index) => context.lineTo(x + index * step, toY(entry.average)));
+    context.stroke();
+  }
+}
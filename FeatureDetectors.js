@@ -0,0 +1,109 @@
+// Feature detectors the pipeline can use, chosen per artwork with tuning.featureDetector.
+// All of them compute binary descriptors, which are compared by their Hamming distance; the L2 distance
+// of cv.BFMatcher's default treats the descriptor bytes as numbers and ranks the matches wrongly.
+// OpenCV.js has no FlannBasedMatcher, so matching stays brute force with the detector's norm.
+//
+// featureDetectionSensitivity and maxFeatureDetectionSensitivity are in the unit of the detector, the
+// higher the fewer keypoints for all of them, which is what the AdaptiveQualityController relies on:
+//   AKAZE  Detector response threshold
+//   BRISK  AGAST corner threshold
+//   ORB    1 / the most keypoints kept, 0.001 keeps the 1000 strongest. OpenCV.js cannot set the FAST
+//          threshold of ORB, so the number of keypoints is what can be tuned.
+
+const DEFAULT_FEATURE_DETECTOR = "AKAZE";
+
+// Tuning values each marker keeps for itself, the detector its features are described with. The other
+// tuning values apply to the whole page, see ArtworkConfig.getPageTuning
+const DETECTOR_SETTING_KEYS = [
+  "featureDetector",
+  "featureDetectionSensitivity",
+  "maxFeatureDetectionSensitivity",
+  "referenceScales",
+];
+
+// Per detector:
+//   create(threshold)               A new detector, delete() it when done
+//   setThreshold(detector, threshold) The detector with the new threshold, either the same one or a
+//                                   new one with the old one deleted
+//   norm                            Name of the cv.BFMatcher norm for its descriptors, cv is not
+//                                   loaded yet when this script runs
+//   defaultThreshold, defaultMaxThreshold  Used when the artwork only picks the detector
+//   thresholdLimits                 { min, max } a threshold of config.json may take, see ArtworkConfig.validate
+//   thresholdRange                  { min, max, step } of the tuning sliders
+const FEATURE_DETECTORS = {
+  AKAZE: {
+    create(threshold) {
+      const detector = new cv.AKAZE();
+      detector.setThreshold(threshold);
+      return detector;
+    },
+    setThreshold(detector, threshold) {
+      detector.setThreshold(threshold);
+      return detector;
+    },
+    norm: "NORM_HAMMING",
+    defaultThreshold: 0.0005,
+    defaultMaxThreshold: 0.002,
+    thresholdLimits: { min: 0.00001, max: 0.1 },
+    thresholdRange: { min: 0.0001, max: 0.01, step: 0.0001 },
+  },
+  ORB: {
+    create(threshold) {
+      return new cv.ORB(Math.max(1, Math.round(1 / threshold)));
+    },
+    setThreshold(detector, threshold) {
+      detector.setMaxFeatures(Math.max(1, Math.round(1 / threshold)));
+      return detector;
+    },
+    norm: "NORM_HAMMING",
+    defaultThreshold: 0.001,
+    defaultMaxThreshold: 0.004,
+    thresholdLimits: { min: 0.00001, max: 0.1 }, // 100000 to 10 keypoints
+    thresholdRange: { min: 0.0002, max: 0.01, step: 0.0001 },
+  },
+  BRISK: {
+    create(threshold) {
+      return new cv.BRISK(Math.round(threshold));
+    },
+    // The threshold is only taken by the constructor
+    setThreshold(detector, threshold) {
+      detector.delete();
+      return this.create(threshold);
+    },
+    norm: "NORM_HAMMING",
+    defaultThreshold: 30,
+    defaultMaxThreshold: 80,
+    thresholdLimits: { min: 1, max: 255 }, // Difference of 8 bit intensities
+    thresholdRange: { min: 5, max: 120, step: 1 },
+  },
+};
+
+function getFeatureDetector(type) {
+  const featureDetector = FEATURE_DETECTORS[type || DEFAULT_FEATURE_DETECTOR];
+  if (!featureDetector) {
+    throw new Error(
+      `Unknown feature detector ${type}, expected one of ${Object.keys(FEATURE_DETECTORS).join(", ")}`
+    );
+  }
+  return featureDetector;
+}
+
+// The detector settings of a marker: the DETECTOR_SETTING_KEYS of settings over those of defaults.
+// The thresholds are in the unit of the detector, one picked without them starts from its usual ones
+function resolveDetectorSettings(defaults, settings = {}) {
+  const resolved = {};
+  for (const key of DETECTOR_SETTING_KEYS) {
+    resolved[key] = settings[key] !== undefined ? settings[key] : defaults[key];
+  }
+  resolved.featureDetector = resolved.featureDetector || DEFAULT_FEATURE_DETECTOR;
+  if (resolved.featureDetector !== (defaults.featureDetector || DEFAULT_FEATURE_DETECTOR)) {
+    const featureDetector = getFeatureDetector(resolved.featureDetector);
+    if (settings.featureDetectionSensitivity === undefined) {
+      resolved.featureDetectionSensitivity = featureDetector.defaultThreshold;
+    }
+    if (settings.maxFeatureDetectionSensitivity === undefined) {
+      resolved.maxFeatureDetectionSensitivity = featureDetector.defaultMaxThreshold;
+    }
+  }
+  return resolved;
+}
@@ -0,0 +1,975 @@
+// Ratio test of the matches counted for the quality indicator. Fixed instead of matchDistanceThreshold,
+// so displayingThresholdQuality keeps its meaning when the ratio test of the good matches is tuned
+const QUALITY_MATCH_RATIO = 0.75;
+
+// Reference levels narrower or lower than this are skipped
+const MIN_REFERENCE_LEVEL_SIZE = 32;
+
+// How far the search mask reaches beyond the marker's last projected corners on every side, as a fraction
+// of the marker's size in the frame, so a marker that moved since the last frame is still inside
+const SEARCH_MASK_MARGIN = 0.25;
+
+// Fill one polygon of flat [x0, y0, x1, y1, ...] pixel coordinates into a CV_8UC1 mask
+function fillMaskPolygon(mask, points, value) {
+  const pointMat = cv.matFromArray(points.length / 2, 1, cv.CV_32SC2, points.map(Math.round));
+  const polygons = new cv.MatVector();
+  try {
+    polygons.push_back(pointMat);
+    cv.fillPoly(mask, polygons, new cv.Scalar(value));
+  } finally {
+    polygons.delete();
+    pointMat.delete();
+  }
+}
+
+// Detection mask of a width x height reference level from the markerMask of config.json, whose polygons
+// are in fractions of the marker size, so they fit every level. An empty Mat detects everywhere
+function createReferenceMask(width, height, markerMask) {
+  if (!markerMask) return new cv.Mat();
+  const toPixels = (polygon) => polygon.map((value, k) => value * (k % 2 === 0 ? width : height));
+  const mask = cv.Mat.zeros(height, width, cv.CV_8UC1);
+  if (markerMask.include.length === 0) {
+    mask.setTo(new cv.Scalar(255));
+  }
+  markerMask.include.forEach((polygon) => fillMaskPolygon(mask, toPixels(polygon), 255));
+  markerMask.exclude.forEach((polygon) => fillMaskPolygon(mask, toPixels(polygon), 0));
+  return mask;
+}
+
+// Total keypoint count of the reference levels of a marker
+function countLevelKeypoints(levels) {
+  return levels.reduce((count, level) => count + level.keypoints.size(), 0);
+}
+
+// Milliseconds spent in each stage of one frame, stages that did not run stay 0 and stages that ran
+// twice, see the search mask in processFrame, add up
+function createStageTimings() {
+  return { detect: 0, match: 0, homography: 0, track: 0 };
+}
+
+// OpenCV objects of one processing size, created once and reused for every frame, so processing a frame
+// allocates no Mats or vectors that can leak. The FeaturePipeline replaces it when the size changes.
+class FrameData {
+  constructor(width, height) {
+    try {
+      this.srcMat = new cv.Mat(height, width, cv.CV_8UC4);
+      this.grayMat = new cv.Mat(height, width, cv.CV_8UC1);
+      // { keypoints, descriptors } of the frame per detector key, see getDetection
+      this.detections = new Map();
+      this.noMask = new cv.Mat(); // Empty mask: detect in the whole frame
+      this.searchMask = new cv.Mat(height, width, cv.CV_8UC1); // Around the marker, see updateSearchMask
+      this.searchRegion = null; // Flat corners the search mask of this frame was filled with, or null
+      // knnMatch appends to its output, so these are emptied before each use, see clearMatches
+      this.frameToReferenceMatches = new cv.DMatchVectorVector();
+      this.referenceToFrameMatches = new cv.DMatchVectorVector();
+      this.emptyMatches = new cv.DMatchVector(); // Fill value for resize, never filled
+      // Plain { queryIdx, trainIdx, distance } objects, nothing to delete
+      this.goodMatches = [];
+      this.marker = null; // Marker from the MarkerRegistry the good matches refer to
+      this.detection = null; // Features of the frame from that marker's detector
+      this.level = null; // Reference level of that marker the matches were made with
+      this.qualityIndicator = null;
+      this.inlierPoints = []; // Flat [x, y, ...] frame positions of the RANSAC inliers
+      this.timings = createStageTimings();
+    } catch (error) {
+      logError('FrameData.constructor', error);
+    }
+  }
+
+  update(imageData) {
+    try {
+      // Update srcMat with new image data
+      this.srcMat.data.set(imageData.data);
+
+      // Convert to grayscale for feature detection
+      cv.cvtColor(this.srcMat, this.grayMat, cv.COLOR_BGRA2GRAY);
+
+      this.clearDetection();
+      this.timings = createStageTimings();
+    } catch (error) {
+      logError('FrameData.update', error);
+    }
+  }
+
+  // Forget the results of a detection, before the frame is detected (again)
+  clearDetection() {
+    this.goodMatches = [];
+    this.marker = null;
+    this.detection = null;
+    this.level = null;
+    this.inlierPoints = [];
+    this.searchRegion = null;
+  }
+
+  // The features of the frame from one detector, created with its first frame
+  getDetection(detectorKey) {
+    let detection = this.detections.get(detectorKey);
+    if (!detection) {
+      // detectAndCompute clears both before it fills them
+      detection = { keypoints: new cv.KeyPointVector(), descriptors: new cv.Mat() };
+      this.detections.set(detectorKey, detection);
+    }
+    return detection;
+  }
+
+  // Once the detector is gone
+  deleteDetection(detectorKey) {
+    const detection = this.detections.get(detectorKey);
+    if (detection) {
+      detection.keypoints.delete();
+      detection.descriptors.delete();
+      this.detections.delete(detectorKey);
+    }
+  }
+
+  // Keypoints of the frame from every detector
+  countKeypoints() {
+    let count = 0;
+    for (const detection of this.detections.values()) {
+      count += detection.keypoints.size();
+    }
+    return count;
+  }
+
+  clearMatches(matches) {
+    matches.resize(0, this.emptyMatches);
+  }
+
+  setQualityIndicator(qualityValue) {
+    try {
+      this.qualityIndicator = qualityValue;
+    } catch (error) {
+      logError('FrameData.setQualityIndicator', error);
+    }
+  }
+
+  // Clean up Mats when no longer needed
+  delete() {
+    try {
+      this.srcMat.delete();
+      this.grayMat.delete();
+      for (const detectorKey of [...this.detections.keys()]) {
+        this.deleteDetection(detectorKey);
+      }
+      this.noMask.delete();
+      this.searchMask.delete();
+      this.frameToReferenceMatches.delete();
+      this.referenceToFrameMatches.delete();
+      this.emptyMatches.delete();
+    } catch (error) {
+      logError('FrameData.delete', error);
+    }
+  }
+}
+
+// OpenCV part of the AR pipeline: feature detection, matching against every reference marker,
+// marker selection and homography estimation. It does not touch the DOM, so the same code runs
+// in ARWorker.js and, as a fallback, on the main thread.
+class FeaturePipeline {
+  constructor(settings) {
+    try {
+      // Debug mode: count the live OpenCV objects and add them to every result, see OpenCVObjectCounter.js
+      // Installed first, so the objects of the pipeline itself are counted too
+      this.objectCounter = settings.countOpenCVObjects ? OpenCVObjectCounter.install() : null;
+
+      // Detector settings of the markers added without their own, see resolveDetectorSettings
+      this.detectorSettings = resolveDetectorSettings({}, settings);
+      this.matchDistanceThreshold = settings.matchDistanceThreshold;
+      this.displayingThresholdQuality = settings.displayingThresholdQuality;
+      this.nFramesForAveraging = settings.nFramesForAveraging;
+      // Track the marker with optical flow between full detections
+      this.trackingEnabled = settings.trackingEnabled;
+      // Only detect around the marker's last position while it is in view, see updateSearchMask
+      this.searchMaskEnabled = settings.searchMaskEnabled !== false;
+      // Flat frame corners of the marker in the previous frame, null when it was not found
+      this.lastMarkerCorners = null;
+      // Add the keypoints, matches and inliers of every frame to the results, for the ?debug overlay
+      this.collectDebugData = settings.collectDebugData === true;
+
+      this.qualityHistory = []; // To store recent quality indicators
+      this.averageQualityIndicator = 0; // The rolling average of quality indicators
+
+      // Every reference marker the frames are matched against
+      this.markerRegistry = new MarkerRegistry();
+
+      // Reused while the processing size stays the same
+      this.frameData = null;
+
+      // Detectors of the registered markers, one per distinct detector settings, see acquireDetector
+      this.detectors = new Map();
+      // The frames may be detected with a higher threshold than the references: the threshold of each
+      // detector times this factor, at most its maxFeatureDetectionSensitivity, see getFrameThreshold
+      this.frameThresholdFactor = 1;
+
+      this.tracker = new OpticalFlowTracker(settings);
+      // Rejects degenerate homographies before they reach the smoother
+      this.validator = new HomographyValidator(settings);
+    } catch (error) {
+      logError('FeaturePipeline.constructor', error);
+      throw error;
+    }
+  }
+
+  // The detector of a marker's detector settings, with a matcher for its descriptors. Markers with the
+  // same detector and thresholds share it, so a frame is detected once per distinct detector.
+  // Every marker that acquires it releases it when it is removed, see releaseDetector
+  // Returns { key, backend, featureDetector, matcher, threshold, maxThreshold, currentThreshold,
+  // markerCount }
+  acquireDetector(detectorSettings) {
+    const type = detectorSettings.featureDetector;
+    const threshold = detectorSettings.featureDetectionSensitivity;
+    const maxThreshold = Math.max(detectorSettings.maxFeatureDetectionSensitivity, threshold);
+    const key = `${type} ${threshold} ${maxThreshold}`;
+    let detector = this.detectors.get(key);
+    if (!detector) {
+      const backend = getFeatureDetector(type);
+      detector = {
+        key: key,
+        backend: backend,
+        featureDetector: backend.create(threshold),
+        // Cross-checked by filterMatchesWithCrossCheck, not by the matcher
+        matcher: new cv.BFMatcher(cv[backend.norm], false),
+        threshold: threshold, // The references are detected with this one
+        maxThreshold: maxThreshold, // The highest one for the frames
+        currentThreshold: threshold,
+        markerCount: 0,
+      };
+      this.detectors.set(key, detector);
+    }
+    detector.markerCount++;
+    return detector;
+  }
+
+  // Deletes the detector once no marker uses it any more
+  releaseDetector(detector) {
+    detector.markerCount--;
+    if (detector.markerCount > 0) return;
+    detector.featureDetector.delete();
+    detector.matcher.delete();
+    this.detectors.delete(detector.key);
+    if (this.frameData) {
+      this.frameData.deleteDetection(detector.key);
+    }
+  }
+
+  // Some detectors are rebuilt for a new threshold, so it is only changed when it differs
+  setDetectorThreshold(detector, threshold) {
+    if (threshold !== detector.currentThreshold) {
+      detector.featureDetector = detector.backend.setThreshold(detector.featureDetector, threshold);
+      detector.currentThreshold = threshold;
+    }
+  }
+
+  // Threshold a detector looks at the frames with, see frameThresholdFactor
+  getFrameThreshold(detector) {
+    return Math.min(detector.threshold * this.frameThresholdFactor, detector.maxThreshold);
+  }
+
+  // Detect the features of a reference marker from its RGBA pixels ({ width, height, data })
+  // smoothing holds the marker's { windowSize, alpha, outlierThreshold }, markerMask its
+  // { include, exclude } polygons and detectorSettings its DETECTOR_SETTING_KEYS from config.json,
+  // see ArtworkConfig. Detector settings that are left out are the pipeline's
+  // The features are detected once per reference scale, see detectReferenceLevels
+  // A marker registered before with the same id is replaced
+  addReference(id, name, imageData, smoothing = {}, markerMask = null, detectorSettings = {}) {
+    try {
+      const markerDetectorSettings = resolveDetectorSettings(this.detectorSettings, detectorSettings);
+      const detector = this.acquireDetector(markerDetectorSettings);
+      let tempMat = cv.matFromImageData(imageData);
+      let levels;
+      try {
+        cv.cvtColor(tempMat, tempMat, cv.COLOR_BGRA2GRAY); // Convert to grayscale, like the frames
+        levels = this.detectReferenceLevels(
+          tempMat,
+          markerMask,
+          detector,
+          markerDetectorSettings.referenceScales
+        );
+      } catch (error) {
+        this.releaseDetector(detector);
+        throw error;
+      } finally {
+        tempMat.delete();
+      }
+
+      this.registerMarker({
+        id: id,
+        name: name,
+        width: imageData.width,
+        height: imageData.height,
+        levels: levels,
+        detector: detector,
+        detectorSettings: markerDetectorSettings,
+        smoother: new ComprehensiveSmoothnessFilter(smoothing),
+      });
+      return { id: id, keypointCount: countLevelKeypoints(levels) };
+    } catch (error) {
+      logError('FeaturePipeline.addReference', error);
+      throw error;
+    }
+  }
+
+  // A marker seen from far away only shows its coarse structure and up close only a part of its fine detail,
+  // so the features of the marker are detected at every scale of referenceScales (1 is the image as it is).
+  // Frames are matched against each level and the one that fits best is used, see matchMarker
+  // Only the parts of markerMask are used, on every level. detector is one of acquireDetector
+  // Returns [{ scale, keypoints, descriptors }] with the keypoints in the pixels of the scaled image
+  detectReferenceLevels(grayMat, markerMask, detector, referenceScales) {
+    const levels = [];
+    this.setDetectorThreshold(detector, detector.threshold);
+    for (const scale of referenceScales) {
+      const width = Math.round(grayMat.cols * scale);
+      const height = Math.round(grayMat.rows * scale);
+      // Too small to hold any features
+      if (Math.min(width, height) < MIN_REFERENCE_LEVEL_SIZE) continue;
+
+      let scaledMat = new cv.Mat();
+      cv.resize(
+        grayMat,
+        scaledMat,
+        new cv.Size(width, height),
+        0,
+        0,
+        scale < 1 ? cv.INTER_AREA : cv.INTER_LINEAR
+      );
+      let keypoints = new cv.KeyPointVector();
+      let descriptors = new cv.Mat();
+      let mask = createReferenceMask(width, height, markerMask);
+      // Detect features in the reference image
+      detector.featureDetector.detectAndCompute(scaledMat, mask, keypoints, descriptors);
+      mask.delete();
+      scaledMat.delete();
+      levels.push({ scale: scale, keypoints: keypoints, descriptors: descriptors });
+    }
+    return levels;
+  }
+
+  // Settings that change while running, any of them can be left out: the { frameThresholdFactor,
+  // maxTrackedFrames } of the AdaptiveQualityController and the tuning values of the tuning panel.
+  // The detector settings of a marker stay with it, the caller adds it again to change them
+  // Returns { configured }
+  configure(settings) {
+    try {
+      const assign = (target, keys) => {
+        for (const key of keys) {
+          if (settings[key] !== undefined) target[key] = settings[key];
+        }
+      };
+      assign(this, [
+        "matchDistanceThreshold",
+        "displayingThresholdQuality",
+        "nFramesForAveraging",
+        "frameThresholdFactor",
+        "searchMaskEnabled",
+      ]);
+      assign(this.tracker, ["minTrackedPoints", "maxTrackingReprojectionError", "maxTrackedFrames"]);
+      assign(this.validator, [
+        "minInlierCount",
+        "minInlierRatio",
+        "minMarkerAreaRatio",
+        "maxMarkerAreaRatio",
+        "maxAspectRatioDistortion",
+      ]);
+      if (settings.trackingEnabled !== undefined && settings.trackingEnabled !== this.trackingEnabled) {
+        this.trackingEnabled = settings.trackingEnabled;
+        this.tracker.reset();
+      }
+      this.qualityHistory = this.qualityHistory.slice(-this.nFramesForAveraging);
+      return { configured: true };
+    } catch (error) {
+      logError('FeaturePipeline.configure', error);
+      throw error;
+    }
+  }
+
+  // Forget everything earlier frames left behind: the tracked points, the search mask, the quality average,
+  // the active marker and the smoothed poses. The next frame is processed like the first one, for inputs
+  // that do not continue the previous frame, e.g. separate still images. The references stay registered
+  reset() {
+    try {
+      this.tracker.reset();
+      this.lastMarkerCorners = null;
+      this.qualityHistory = [];
+      this.averageQualityIndicator = 0;
+      this.markerRegistry.reset();
+      this.markerRegistry.markers.forEach((marker) => marker.smoother.reset());
+      if (this.frameData) {
+        this.frameData.clearDetection();
+        this.frameData.qualityIndicator = null;
+      }
+    } catch (error) {
+      logError('FeaturePipeline.reset', error);
+    }
+  }
+
+  // The detector and settings the features of a marker depend on, stored with precomputed marker
+  // features. detectorSettings are the marker's, like for addReference
+  describeDetector(detectorSettings = {}) {
+    const markerDetectorSettings = resolveDetectorSettings(this.detectorSettings, detectorSettings);
+    return {
+      type: markerDetectorSettings.featureDetector,
+      threshold: markerDetectorSettings.featureDetectionSensitivity,
+      referenceScales: markerDetectorSettings.referenceScales,
+    };
+  }
+
+  // Register a reference marker from features parsed by parseMarkerFeatures (MarkerFeatures.js)
+  // Returns null if they were computed with other detector settings or another marker mask, then the
+  // caller runs addReference instead
+  addPrecomputedReference(id, name, features, smoothing = {}, markerMask = null, detectorSettings = {}) {
+    try {
+      if (
+        features.format !== MARKER_FEATURES_FORMAT ||
+        !isSameDetector(features.detector, this.describeDetector(detectorSettings)) ||
+        JSON.stringify(features.markerMask) !== JSON.stringify(markerMask)
+      ) {
+        return null;
+      }
+      const markerDetectorSettings = resolveDetectorSettings(this.detectorSettings, detectorSettings);
+      const levels = features.levels.map((level) => ({
+        scale: level.scale,
+        keypoints: createKeyPointVector(level.keypoints),
+        descriptors: createDescriptorMat(level.descriptors),
+      }));
+
+      this.registerMarker({
+        id: id,
+        name: name,
+        width: features.width,
+        height: features.height,
+        levels: levels,
+        detector: this.acquireDetector(markerDetectorSettings),
+        detectorSettings: markerDetectorSettings,
+        smoother: new ComprehensiveSmoothnessFilter(smoothing),
+      });
+      return { id: id, keypointCount: countLevelKeypoints(levels) };
+    } catch (error) {
+      logError('FeaturePipeline.addPrecomputedReference', error);
+      throw error;
+    }
+  }
+
+  // Unregister a reference marker, e.g. to add it again with other detector settings
+  // Earlier frames may have shown it, so the pipeline starts over like after reset
+  // Returns { removed }
+  removeReference(id) {
+    try {
+      const removed = this.unregisterMarker(id);
+      if (removed) {
+        this.reset();
+      }
+      return { removed: removed };
+    } catch (error) {
+      logError('FeaturePipeline.removeReference', error);
+      throw error;
+    }
+  }
+
+  // Add a marker to the registry, in place of one with the same id
+  registerMarker(marker) {
+    if (this.unregisterMarker(marker.id)) {
+      this.reset();
+    }
+    this.markerRegistry.addMarker(marker);
+  }
+
+  // Returns whether there was a marker with this id
+  unregisterMarker(id) {
+    const marker = this.markerRegistry.removeMarker(id);
+    if (!marker) return false;
+    this.releaseDetector(marker.detector);
+    return true;
+  }
+
+  // Run detection, matching and homography estimation on one RGBA frame ({ width, height, data })
+  // Returns a plain object that can be posted between threads
+  processFrame(imageData) {
+    try {
+      // The processing size changes with the adaptive canvas width
+      if (
+        !this.frameData ||
+        this.frameData.srcMat.cols !== imageData.width ||
+        this.frameData.srcMat.rows !== imageData.height
+      ) {
+        if (this.frameData) {
+          this.frameData.delete();
+        }
+        this.frameData = new FrameData(imageData.width, imageData.height);
+        // Tracked points and corners refer to the old size
+        this.tracker.reset();
+        this.lastMarkerCorners = null;
+      }
+
+      const frameData = this.frameData;
+      const marker = frameData.marker; // Marker of the previous frame, kept while tracking
+      frameData.update(imageData);
+
+      // Cheap path: follow the points of the last detection with optical flow
+      if (this.tracker.isTracking) {
+        const trackStart = performance.now();
+        let trackedHomography = this.tracker.track(frameData.grayMat);
+        frameData.timings.track = performance.now() - trackStart;
+        if (
+          trackedHomography &&
+          !this.validator.validate(
+            trackedHomography,
+            marker.width,
+            marker.height,
+            imageData.width,
+            imageData.height
+          ).valid
+        ) {
+          // The tracks collapsed into an impossible pose, fall back to a full detection
+          this.tracker.reset();
+          trackedHomography = null;
+        }
+        if (trackedHomography) {
+          frameData.marker = marker;
+          trackedHomography = marker.smoother.smooth(trackedHomography, marker.width, marker.height);
+          this.lastMarkerCorners = projectMarkerCorners(trackedHomography, marker.width, marker.height);
+          return {
+            width: imageData.width,
+            height: imageData.height,
+            markerId: marker.id,
+            switched: false,
+            tracking: true,
+            trackedPointCount: this.tracker.trackedPointCount,
+            qualityIndicator: frameData.qualityIndicator || 0,
+            averageQualityIndicator: this.averageQualityIndicator,
+            keypointCount: 0,
+            goodMatchCount: 0,
+            referenceScale: null,
+            homography: trackedHomography,
+            validation: this.validator.getDiagnostics(),
+            timings: frameData.timings,
+            debug: this.collectDebugData ? this.getDebugData(frameData, true) : null,
+            openCVObjects: this.countObjects(),
+          };
+        }
+      }
+
+      // Tracking lost, drifted or not started: run the full detection
+      const detectionState = this.saveDetectionState();
+      let switched = this.detectFeaturesAndMatch(frameData, true);
+      let homography = this.calculateTransformation(frameData);
+      if (!homography && frameData.searchRegion) {
+        // The marker may have moved out of the search mask since the last frame, e.g. with a quick pan:
+        // search the whole frame before it counts as lost, as if the masked detection had not happened
+        this.restoreDetectionState(detectionState);
+        frameData.clearDetection();
+        switched = this.detectFeaturesAndMatch(frameData, false);
+        homography = this.calculateTransformation(frameData);
+      }
+
+      // Smooth the pose over time; once the marker is lost, the next sighting starts fresh
+      const activeMarker = frameData.marker;
+      if (activeMarker) {
+        if (switched || !homography) {
+          activeMarker.smoother.reset();
+        }
+        if (homography) {
+          homography = activeMarker.smoother.smooth(homography, activeMarker.width, activeMarker.height);
+        }
+      }
+      this.lastMarkerCorners = homography
+        ? projectMarkerCorners(homography, activeMarker.width, activeMarker.height)
+        : null;
+
+      return {
+        width: imageData.width,
+        height: imageData.height,
+        markerId: frameData.marker ? frameData.marker.id : null,
+        switched: switched,
+        tracking: false,
+        trackedPointCount: this.tracker.trackedPointCount,
+        qualityIndicator: frameData.qualityIndicator || 0,
+        averageQualityIndicator: this.averageQualityIndicator,
+        keypointCount: frameData.countKeypoints(), // Of every detector
+        goodMatchCount: frameData.goodMatches.length,
+        referenceScale: frameData.level ? frameData.level.scale : null,
+        homography: homography, // 3x3 row-major reference-to-frame matrix or null
+        validation: this.validator.getDiagnostics(),
+        timings: frameData.timings, // Milliseconds per stage, see createStageTimings
+        debug: this.collectDebugData ? this.getDebugData(frameData, false) : null,
+        openCVObjects: this.countObjects(), // null unless countOpenCVObjects is set
+      };
+    } catch (error) {
+      logError('FeaturePipeline.processFrame', error);
+      throw error;
+    }
+  }
+
+  // While the marker is in view, the next detection only looks at the area around its last corners:
+  // less detection work, and nothing outside can be matched wrongly. Other markers are therefore only
+  // found once this one is lost. A masked detection that finds no pose is repeated on the whole frame,
+  // see processFrame, so a marker that moved further than the margin is not lost
+  // Returns whether frameData.searchMask is to be used
+  updateSearchMask(frameData) {
+    if (!this.searchMaskEnabled || !this.lastMarkerCorners) return false;
+    const corners = this.lastMarkerCorners;
+    let centerX = 0;
+    let centerY = 0;
+    for (let k = 0; k < 8; k += 2) {
+      centerX += corners[k] / 4;
+      centerY += corners[k + 1] / 4;
+    }
+    // Moving every corner away from the center by twice the margin widens each side by about the margin
+    const scale = 1 + 2 * SEARCH_MASK_MARGIN;
+    const region = corners.map((value, k) => {
+      const center = k % 2 === 0 ? centerX : centerY;
+      return center + (value - center) * scale;
+    });
+    frameData.searchMask.setTo(new cv.Scalar(0));
+    fillMaskPolygon(frameData.searchMask, region, 255);
+    frameData.searchRegion = region;
+    return true;
+  }
+
+  // What a detection changes besides frameData: the quality average and the marker selection
+  saveDetectionState() {
+    return {
+      qualityIndicator: this.frameData.qualityIndicator,
+      qualityHistory: this.qualityHistory.slice(),
+      averageQualityIndicator: this.averageQualityIndicator,
+      selection: this.markerRegistry.saveSelection(),
+    };
+  }
+
+  restoreDetectionState(state) {
+    this.frameData.qualityIndicator = state.qualityIndicator;
+    this.qualityHistory = state.qualityHistory;
+    this.averageQualityIndicator = state.averageQualityIndicator;
+    this.markerRegistry.restoreSelection(state.selection);
+  }
+
+  // Points of the frame for the debug overlay, flat [x, y, ...] arrays in processing pixels:
+  // { keypoints, matches, matchReferencePoints, inliers, searchRegion }. matchReferencePoints are the
+  // reference keypoints of the matches, in the same order and in the pixels of the marker image.
+  // On tracked frames the inliers are the tracked points, searchRegion holds the corners of the search
+  // mask, null when the whole frame was searched
+  getDebugData(frameData, tracking) {
+    const inliers = tracking ? this.tracker.framePoints.slice() : frameData.inlierPoints.slice();
+    if (tracking) {
+      return {
+        keypoints: [],
+        matches: [],
+        matchReferencePoints: [],
+        inliers: inliers,
+        searchRegion: null,
+      };
+    }
+    const keypoints = [];
+    for (const detection of frameData.detections.values()) {
+      for (let i = 0; i < detection.keypoints.size(); i++) {
+        const point = detection.keypoints.get(i).pt;
+        keypoints.push(point.x, point.y);
+      }
+    }
+    const matches = [];
+    const matchReferencePoints = [];
+    for (const match of frameData.goodMatches) {
+      const point = frameData.detection.keypoints.get(match.queryIdx).pt;
+      matches.push(point.x, point.y);
+      const referencePoint = frameData.level.keypoints.get(match.trainIdx).pt;
+      matchReferencePoints.push(
+        referencePoint.x / frameData.level.scale,
+        referencePoint.y / frameData.level.scale
+      );
+    }
+    return {
+      keypoints: keypoints,
+      matches: matches,
+      matchReferencePoints: matchReferencePoints,
+      inliers: inliers,
+      searchRegion: frameData.searchRegion,
+    };
+  }
+
+  // Live OpenCV objects after this frame, see OpenCVObjectCounter.endFrame
+  countObjects() {
+    return this.objectCounter ? this.objectCounter.endFrame() : null;
+  }
+
+  // Detect features in the frame with the detector of every marker and match them with the markers
+  // With useSearchMask only around the marker's last position, if it was found in the previous frame
+  // Returns whether the active marker changed with this frame
+  detectFeaturesAndMatch(frameData, useSearchMask) {
+    try {
+      const mask =
+        useSearchMask && this.updateSearchMask(frameData) ? frameData.searchMask : frameData.noMask;
+      // Detect and compute keypoints and descriptors for the current frame, once per detector
+      const detectStart = performance.now();
+      for (const detector of this.detectors.values()) {
+        const detection = frameData.getDetection(detector.key);
+        this.setDetectorThreshold(detector, this.getFrameThreshold(detector));
+        detector.featureDetector.detectAndCompute(
+          frameData.grayMat,
+          mask,
+          detection.keypoints,
+          detection.descriptors
+        );
+      }
+      const matchStart = performance.now();
+      frameData.timings.detect += matchStart - detectStart;
+
+      // Match descriptors from current frame with the descriptors of every reference marker
+      let scores = [];
+      for (const marker of this.markerRegistry.markers) {
+        const score = this.matchMarker(frameData, marker);
+        if (score) scores.push(score);
+      }
+      frameData.timings.match += performance.now() - matchStart;
+      if (scores.length === 0) return false;
+
+      // Keep the overlay on the active marker unless another one is clearly better
+      const { marker, switched } = this.markerRegistry.selectMarker(scores);
+      if (!marker) return false; // No marker recognized yet
+      if (switched) {
+        // The quality of the previous marker says nothing about the new one
+        this.qualityHistory = [];
+      }
+
+      let qualityIndicator = 0;
+      for (const score of scores) {
+        if (score.marker === marker) {
+          qualityIndicator = score.qualityIndicator;
+          frameData.goodMatches = score.goodMatches; // Store good matches
+          frameData.marker = marker;
+          frameData.detection = score.detection;
+          frameData.level = score.level;
+        }
+      }
+
+      frameData.setQualityIndicator(qualityIndicator);
+
+      // Update quality history for averaging
+      this.qualityHistory.push(qualityIndicator);
+
+      // Keep only the last nFramesForAveraging quality indicators
+      if (this.qualityHistory.length > this.nFramesForAveraging) {
+        this.qualityHistory.shift(); // Remove the oldest quality indicator
+      }
+
+      // Calculate the rolling average quality indicator
+      const sumQuality = this.qualityHistory.reduce((sum, q) => sum + q, 0);
+      this.averageQualityIndicator = sumQuality / this.qualityHistory.length;
+      return switched;
+    } catch (error) {
+      logError('FeaturePipeline.detectFeaturesAndMatch', error);
+      return false;
+    }
+  }
+
+  // Match the frame against every reference level of a marker and keep the level with the most good matches,
+  // the one closest to the size the marker has in the frame. The frame features are those of the
+  // marker's own detector
+  // Returns { marker, detection, level, goodMatches, qualityIndicator } or null if the marker or the
+  // frame has no features
+  matchMarker(frameData, marker) {
+    try {
+      const detection = frameData.getDetection(marker.detector.key);
+      if (detection.descriptors.empty()) return null;
+      let best = null;
+      for (const level of marker.levels) {
+        if (level.descriptors.empty()) continue;
+        const { goodMatches, qualityIndicator } = this.filterMatchesWithCrossCheck(
+          frameData,
+          detection.descriptors,
+          level.descriptors,
+          marker.detector.matcher
+        );
+        if (
+          !best ||
+          goodMatches.length > best.goodMatches.length ||
+          (goodMatches.length === best.goodMatches.length &&
+            qualityIndicator > best.qualityIndicator)
+        ) {
+          best = { marker, detection, level, goodMatches, qualityIndicator };
+        }
+      }
+      return best;
+    } catch (error) {
+      logError('FeaturePipeline.matchMarker', error);
+      return null;
+    }
+  }
+
+  // Filter matches using cross-checking with a distance threshold, with the matcher of the detector both
+  // descriptor sets come from
+  // The knn results go to the reused vectors of frameData, the good matches are returned as a plain array
+  filterMatchesWithCrossCheck(
+    frameData,
+    frameDescriptors,
+    targetDescriptors,
+    matcher,
+    distanceThreshold = this.matchDistanceThreshold // Lowe's ratio test threshold
+  ) {
+    try {
+      let goodMatches = [];
+      let perfectMatchCount = 0;
+
+      // Step 1: Source to Target matching
+      let sourceToTargetMatches = frameData.frameToReferenceMatches;
+      frameData.clearMatches(sourceToTargetMatches);
+      matcher.knnMatch(
+        frameDescriptors,
+        targetDescriptors,
+        sourceToTargetMatches,
+        2
+      );
+
+      // Step 2: Target to Source matching
+      let targetToSourceMatches = frameData.referenceToFrameMatches;
+      frameData.clearMatches(targetToSourceMatches);
+      matcher.knnMatch(
+        targetDescriptors,
+        frameDescriptors,
+        targetToSourceMatches,
+        2
+      );
+
+      // Step 3: Cross-check matches
+      // get() of a DMatchVectorVector returns a copy of the inner vector, which has to be deleted
+      for (let i = 0; i < sourceToTargetMatches.size(); ++i) {
+        let match = sourceToTargetMatches.get(i);
+        try {
+          // With a single reference descriptor there is no second-best match to compare with
+          if (match.size() < 2) continue;
+          let dMatch1 = match.get(0); // Best match
+          let dMatch2 = match.get(1); // Second-best match
+
+          // Check for perfect matches to have a good quality indicator
+          if (dMatch1.distance <= dMatch2.distance * QUALITY_MATCH_RATIO) {
+            perfectMatchCount++;
+          }
+
+          // Apply Lowe's ratio test for source-to-target matches
+          if (dMatch1.distance <= dMatch2.distance * distanceThreshold) {
+            // Now check if the reverse match is consistent (target-to-source)
+            let reverseMatch = targetToSourceMatches.get(dMatch1.trainIdx);
+
+            // Ensure the reverse match points back to the original keypoint and apply static distance check
+            if (
+              reverseMatch.size() > 0 &&
+              reverseMatch.get(0).trainIdx === dMatch1.queryIdx
+            ) {
+              goodMatches.push(dMatch1); // Keep the match if both directions are consistent
+            }
+            reverseMatch.delete();
+          }
+        } finally {
+          match.delete();
+        }
+      }
+
+      let qualityIndicator = perfectMatchCount / sourceToTargetMatches.size();
+      return {
+        goodMatches: goodMatches,
+        qualityIndicator: qualityIndicator,
+      };
+    } catch (error) {
+      logError('FeaturePipeline.filterMatchesWithCrossCheck', error);
+    }
+  }
+
+  // Calculate the homography from the reference marker to the frame if the matches are good enough
+  // Returns the 3x3 matrix as a row-major array of 9 numbers, or null
+  calculateTransformation(frameData) {
+    // Deleted in finally, also when RANSAC or the validator throws
+    let mat1 = null;
+    let mat2 = null;
+    let inlierMask = null;
+    let h = null;
+    try {
+      // Proceed with homography calculation if quality is good enough
+      if (
+        !frameData.marker ||
+        frameData.goodMatches.length < 5 ||
+        this.averageQualityIndicator < this.displayingThresholdQuality
+      ) {
+        // Do not show the overlay if not enough matches or quality is below threshold
+        return null;
+      }
+
+      let points1 = [];
+      let points2 = [];
+
+      // Reference points in the pixels of the marker image, whichever level they were matched on
+      const level = frameData.level;
+      const frameKeypoints = frameData.detection.keypoints;
+      for (let i = 0; i < frameData.goodMatches.length; i++) {
+        let match = frameData.goodMatches[i];
+        points2.push(frameKeypoints.get(match.queryIdx).pt.x);
+        points2.push(frameKeypoints.get(match.queryIdx).pt.y);
+        points1.push(level.keypoints.get(match.trainIdx).pt.x / level.scale);
+        points1.push(level.keypoints.get(match.trainIdx).pt.y / level.scale);
+      }
+
+      const homographyStart = performance.now();
+      mat1 = cv.matFromArray(points1.length / 2, 1, cv.CV_32FC2, points1);
+      mat2 = cv.matFromArray(points2.length / 2, 1, cv.CV_32FC2, points2);
+
+      inlierMask = new cv.Mat();
+      h = cv.findHomography(mat1, mat2, cv.RANSAC, 3, inlierMask);
+      let homography = h.empty() ? null : Array.from(h.data64F);
+
+      let inlierFramePoints = [];
+      let inlierReferencePoints = [];
+      for (let i = 0; i < inlierMask.rows; i++) {
+        if (inlierMask.data[i] === 1) {
+          inlierFramePoints.push(points2[i * 2], points2[i * 2 + 1]);
+          inlierReferencePoints.push(points1[i * 2], points1[i * 2 + 1]);
+        }
+      }
+      frameData.inlierPoints = inlierFramePoints;
+      frameData.timings.homography += performance.now() - homographyStart;
+
+      // Do not draw (or track) a pose that cannot be a real view of the marker
+      if (
+        homography &&
+        !this.validator.validate(
+          homography,
+          frameData.marker.width,
+          frameData.marker.height,
+          frameData.srcMat.cols,
+          frameData.srcMat.rows,
+          inlierFramePoints.length / 2,
+          frameData.goodMatches.length
+        ).valid
+      ) {
+        homography = null;
+      }
+
+      // Hand the RANSAC inliers to the optical flow tracker for the following frames
+      if (homography && this.trackingEnabled) {
+        this.tracker.start(frameData.grayMat, inlierFramePoints, inlierReferencePoints);
+      }
+
+      return homography;
+    } catch (error) {
+      logError('FeaturePipeline.calculateTransformation', error);
+      return null;
+    } finally {
+      [mat1, mat2, inlierMask, h].forEach((mat) => mat && mat.delete());
+    }
+  }
+
+  // Clean up every OpenCV object owned by the pipeline
+  delete() {
+    try {
+      if (this.frameData) {
+        this.frameData.delete();
+        this.frameData = null;
+      }
+      this.tracker.delete();
+      this.markerRegistry.delete();
+      for (const detector of this.detectors.values()) {
+        detector.featureDetector.delete();
+        detector.matcher.delete();
+      }
+      this.detectors.clear();
+    } catch (error) {
+      logError('FeaturePipeline.delete', error);
+    }
+  }
+}
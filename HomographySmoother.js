@@ -0,0 +1,204 @@
+// Smoothing of the marker pose between frames, revived from BACKUP/transformationSmoothening.js.
+// The filters work on the four projected marker corners instead of the raw matrix entries:
+// averaging corner positions is geometrically meaningful, averaging matrix entries is not.
+// Corners are plain [x0, y0, x1, y1, x2, y2, x3, y3] arrays, so no cv.Mat outlives a call.
+
+// Project the corners of a width x height reference marker with a row-major 3x3 homography
+function projectMarkerCorners(homography, width, height) {
+  return projectPoints(homography, [0, 0, width, 0, width, height, 0, height]);
+}
+
+// Project flat [x, y, ...] points with a row-major 3x3 homography
+function projectPoints(homography, points) {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const projected = [];
+  for (let k = 0; k < points.length; k += 2) {
+    const x = points[k];
+    const y = points[k + 1];
+    const w = g * x + h * y + i;
+    projected.push((a * x + b * y + c) / w, (d * x + e * y + f) / w);
+  }
+  return projected;
+}
+
+class SlidingWindowAveragingFilter {
+  constructor(windowSize = 5) {
+    this.windowSize = windowSize;
+    this.cornerBuffer = [];
+  }
+
+  add(corners) {
+    if (this.cornerBuffer.length >= this.windowSize) {
+      this.cornerBuffer.shift();
+    }
+    this.cornerBuffer.push(corners);
+  }
+
+  getAverage() {
+    try {
+      if (this.cornerBuffer.length === 0) {
+        return null;
+      }
+      const average = new Array(8).fill(0);
+      for (const corners of this.cornerBuffer) {
+        for (let k = 0; k < 8; k++) {
+          average[k] += corners[k] / this.cornerBuffer.length;
+        }
+      }
+      return average;
+    } catch (error) {
+      logError('SlidingWindowAveragingFilter.getAverage', error);
+      return null;
+    }
+  }
+
+  reset() {
+    this.cornerBuffer = [];
+  }
+}
+
+class ExponentialMovingAverageFilter {
+  constructor(alpha = 0.5) {
+    this.alpha = alpha; // Weight of the newest value, 1 disables the filter
+    this.emaCorners = null;
+  }
+
+  filter(corners) {
+    try {
+      if (!this.emaCorners) {
+        this.emaCorners = corners.slice();
+        return corners;
+      }
+      for (let k = 0; k < 8; k++) {
+        this.emaCorners[k] =
+          this.alpha * corners[k] + (1 - this.alpha) * this.emaCorners[k];
+      }
+      return this.emaCorners.slice();
+    } catch (error) {
+      logError('ExponentialMovingAverageFilter.filter', error);
+      return corners;
+    }
+  }
+
+  reset() {
+    this.emaCorners = null;
+  }
+}
+
+class OutlierDetection {
+  constructor(threshold = 0.5, maxConsecutiveOutliers = 3) {
+    // Mean corner displacement, relative to the marker's diagonal, above which a pose is an outlier
+    this.threshold = threshold;
+    // A pose that keeps being an "outlier" is a real jump, e.g. the phone moved quickly
+    this.maxConsecutiveOutliers = maxConsecutiveOutliers;
+    this.previousCorners = null;
+    this.consecutiveOutliers = 0;
+  }
+
+  isOutlier(corners) {
+    try {
+      if (!this.previousCorners) {
+        this.previousCorners = corners;
+        return false;
+      }
+
+      let displacement = 0;
+      for (let k = 0; k < 8; k += 2) {
+        displacement += Math.hypot(
+          corners[k] - this.previousCorners[k],
+          corners[k + 1] - this.previousCorners[k + 1]
+        );
+      }
+      displacement /= 4;
+
+      const diagonal = Math.hypot(
+        this.previousCorners[4] - this.previousCorners[0],
+        this.previousCorners[5] - this.previousCorners[1]
+      );
+
+      if (displacement > this.threshold * diagonal) {
+        this.consecutiveOutliers++;
+        if (this.consecutiveOutliers <= this.maxConsecutiveOutliers) {
+          return true;
+        }
+      }
+
+      this.consecutiveOutliers = 0;
+      this.previousCorners = corners;
+      return false;
+    } catch (error) {
+      logError('OutlierDetection.isOutlier', error);
+      return false;
+    }
+  }
+
+  reset() {
+    this.previousCorners = null;
+    this.consecutiveOutliers = 0;
+  }
+}
+
+// Outlier rejection, then a sliding window average, then an exponential moving average
+class ComprehensiveSmoothnessFilter {
+  constructor({ windowSize = 3, alpha = 0.5, outlierThreshold = 0.5 } = {}) {
+    try {
+      this.slidingWindowAveragingFilter = new SlidingWindowAveragingFilter(windowSize);
+      this.emaFilter = new ExponentialMovingAverageFilter(alpha);
+      this.outlierDetection = new OutlierDetection(outlierThreshold);
+      this.lastHomography = null;
+    } catch (error) {
+      logError('ComprehensiveSmoothnessFilter.constructor', error);
+    }
+  }
+
+  // Smooth a homography of a width x height marker, returns the smoothed row-major homography
+  smooth(homography, width, height) {
+    try {
+      const corners = projectMarkerCorners(homography, width, height);
+      if (corners.some((value) => !Number.isFinite(value))) {
+        return this.lastHomography;
+      }
+
+      const previousOutliers = this.outlierDetection.consecutiveOutliers;
+      if (this.outlierDetection.isOutlier(corners)) {
+        // Keep showing the last good pose instead of jumping to a wrong one
+        return this.lastHomography || homography;
+      }
+      if (previousOutliers >= this.outlierDetection.maxConsecutiveOutliers) {
+        // The marker really moved: forget the old positions instead of sliding over
+        this.slidingWindowAveragingFilter.reset();
+        this.emaFilter.reset();
+      }
+
+      this.slidingWindowAveragingFilter.add(corners);
+      const averageCorners = this.slidingWindowAveragingFilter.getAverage();
+      const smoothedCorners = this.emaFilter.filter(averageCorners);
+
+      this.lastHomography = this.homographyFromCorners(smoothedCorners, width, height);
+      return this.lastHomography;
+    } catch (error) {
+      logError('ComprehensiveSmoothnessFilter.smooth', error);
+      return homography;
+    }
+  }
+
+  // Homography mapping the marker corners onto the given frame corners
+  homographyFromCorners(corners, width, height) {
+    let source = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width, 0, width, height, 0, height]);
+    let destination = cv.matFromArray(4, 1, cv.CV_32FC2, corners);
+    let h = cv.getPerspectiveTransform(source, destination);
+    const homography = Array.from(h.data64F);
+    source.delete();
+    destination.delete();
+    h.delete();
+    return homography;
+  }
+
+  // Start over, e.g. after the marker was lost
+  reset() {
+    this.slidingWindowAveragingFilter.reset();
+    this.emaFilter.reset();
+    this.outlierDetection.reset();
+    this.lastHomography = null;
+  }
+}
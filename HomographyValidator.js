@@ -0,0 +1,144 @@
+// Sanity checks for a homography before the overlay is drawn with it.
+// RANSAC happily returns degenerate solutions that would show the artwork twisted, mirrored or huge.
+class HomographyValidator {
+  constructor(settings) {
+    try {
+      this.minInlierCount = settings.minInlierCount; // RANSAC inliers needed at least
+      this.minInlierRatio = settings.minInlierRatio; // Fraction of the good matches that must be inliers
+      // Area of the projected marker relative to the frame area
+      this.minMarkerAreaRatio = settings.minMarkerAreaRatio;
+      this.maxMarkerAreaRatio = settings.maxMarkerAreaRatio;
+      // How far the projected marker's side ratio may differ from the reference's, as a factor
+      this.maxAspectRatioDistortion = settings.maxAspectRatioDistortion;
+
+      this.acceptedCount = 0;
+      this.rejectionCounts = {
+        inlierCount: 0,
+        inlierRatio: 0,
+        selfIntersecting: 0,
+        nonConvex: 0,
+        flipped: 0,
+        area: 0,
+        aspectRatio: 0,
+        error: 0, // The checks themselves failed
+      };
+      this.lastRejectionReason = null;
+    } catch (error) {
+      logError('HomographyValidator.constructor', error);
+    }
+  }
+
+  // Check a row-major homography of a markerWidth x markerHeight marker in a frameWidth x frameHeight frame
+  // inlierCount and matchCount are optional, tracked frames have no RANSAC statistics
+  // Returns { valid, reason }, reason names the failed check of a rejected homography and is null otherwise
+  validate(homography, markerWidth, markerHeight, frameWidth, frameHeight, inlierCount = null, matchCount = null) {
+    try {
+      const reason = this.findRejectionReason(
+        homography,
+        markerWidth,
+        markerHeight,
+        frameWidth,
+        frameHeight,
+        inlierCount,
+        matchCount
+      );
+      if (reason) {
+        this.rejectionCounts[reason]++;
+        this.lastRejectionReason = reason;
+      } else {
+        this.acceptedCount++;
+      }
+      return { valid: reason === null, reason: reason };
+    } catch (error) {
+      logError('HomographyValidator.validate', error);
+      // A pose that could not be checked is not drawn
+      this.rejectionCounts.error++;
+      this.lastRejectionReason = "error";
+      return { valid: false, reason: "error" };
+    }
+  }
+
+  findRejectionReason(homography, markerWidth, markerHeight, frameWidth, frameHeight, inlierCount, matchCount) {
+    if (inlierCount !== null) {
+      if (inlierCount < this.minInlierCount) return "inlierCount";
+      if (matchCount > 0 && inlierCount / matchCount < this.minInlierRatio) return "inlierRatio";
+    }
+
+    const corners = projectMarkerCorners(homography, markerWidth, markerHeight);
+    const points = [];
+    for (let k = 0; k < 8; k += 2) {
+      points.push({ x: corners[k], y: corners[k + 1] });
+    }
+    if (points.some((point) => !Number.isFinite(point.x) || !Number.isFinite(point.y))) {
+      return "selfIntersecting"; // Corners behind the camera
+    }
+
+    // Opposite sides crossing each other give a bow-tie shape
+    if (
+      this.segmentsIntersect(points[0], points[1], points[2], points[3]) ||
+      this.segmentsIntersect(points[1], points[2], points[3], points[0])
+    ) {
+      return "selfIntersecting";
+    }
+
+    // The turn at every corner has to go the same way for a convex quad.
+    // The reference corners turn positively, so all negative turns mean the marker is mirrored.
+    let positiveTurns = 0;
+    let negativeTurns = 0;
+    for (let i = 0; i < 4; i++) {
+      const turn = this.cross(points[i], points[(i + 1) % 4], points[(i + 2) % 4]);
+      if (turn > 0) positiveTurns++;
+      if (turn < 0) negativeTurns++;
+    }
+    if (negativeTurns === 4) return "flipped";
+    if (positiveTurns !== 4) return "nonConvex";
+
+    // Shoelace formula
+    let area = 0;
+    for (let i = 0; i < 4; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % 4];
+      area += a.x * b.y - b.x * a.y;
+    }
+    const areaRatio = Math.abs(area) / 2 / (frameWidth * frameHeight);
+    if (areaRatio < this.minMarkerAreaRatio || areaRatio > this.maxMarkerAreaRatio) {
+      return "area";
+    }
+
+    // Compare the average side lengths with the reference proportions
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const projectedWidth = (distance(points[0], points[1]) + distance(points[3], points[2])) / 2;
+    const projectedHeight = (distance(points[1], points[2]) + distance(points[0], points[3])) / 2;
+    const aspectRatioChange =
+      projectedWidth / projectedHeight / (markerWidth / markerHeight);
+    if (
+      Math.max(aspectRatioChange, 1 / aspectRatioChange) > this.maxAspectRatioDistortion
+    ) {
+      return "aspectRatio";
+    }
+
+    return null;
+  }
+
+  // z component of (b - a) x (c - b)
+  cross(a, b, c) {
+    return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+  }
+
+  segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = this.cross(p3, p4, p1);
+    const d2 = this.cross(p3, p4, p2);
+    const d3 = this.cross(p1, p2, p3);
+    const d4 = this.cross(p1, p2, p4);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+  }
+
+  // Counters for the debug log and the host page
+  getDiagnostics() {
+    return {
+      acceptedCount: this.acceptedCount,
+      rejectionCounts: { ...this.rejectionCounts },
+      lastRejectionReason: this.lastRejectionReason,
+    };
+  }
+}
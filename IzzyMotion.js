@@ -0,0 +1,178 @@
+// Starts the AR view of IzzyMotion.html and shows its status to the visitor.
+// With ?debug the quality and every logged error are shown in a developer log as well,
+// and the adaptations of the processing quality are logged to the console
+import { ARFeatureMatcher } from "./AROverlay.js";
+
+const params = new URLSearchParams(window.location.search);
+const debug = params.has("debug");
+
+// Shown when the scripts themselves could not be loaded, otherwise the messages come from ARStatus.js
+const LOAD_FAILURE_STATUS = {
+  blocking: true,
+  action: "reload",
+  actionLabel: "Reload",
+  title: "Something went wrong",
+  detail: "The AR view could not start. Reloading the page usually helps.",
+};
+
+// Append an error and its stack trace to the developer log, only shown with ?debug
+function showError(methodName, error) {
+  if (!debug) return; // logError has already written it to the console
+  const entry = document.createElement("p");
+  entry.textContent = `Error in ${methodName}: ${error && error.message}\n${(error && error.stack) || ""}`;
+  document.getElementById("ErrorLog").appendChild(entry);
+}
+
+// Show a blocking status with its action over the canvas, hide the panel for the others
+function showStatus(status, matcher) {
+  const panel = document.getElementById("arStatus");
+  panel.hidden = !status.blocking;
+  if (!status.blocking) return;
+
+  document.getElementById("arStatusTitle").textContent = status.title;
+  document.getElementById("arStatusDetail").textContent = status.detail;
+  const actionButton = document.getElementById("arStatusAction");
+  actionButton.hidden = !status.action;
+  actionButton.textContent = status.actionLabel || "";
+  actionButton.onclick = () => {
+    if (status.action === "reload") {
+      window.location.reload();
+    } else if (matcher) {
+      matcher.retry();
+    }
+  };
+}
+
+// The AR view of the page, disposed when the page is left
+let arFeatureMatcher = null;
+
+// Photo and clip buttons on top of the canvas: capture the AR view and share or download it
+function setupCaptureControls(matcher) {
+  const controls = document.getElementById("captureControls");
+  const stillButton = document.getElementById("captureStillButton");
+  const clipButton = document.getElementById("captureClipButton");
+  const brandingToggle = document.getElementById("captureBrandingToggle");
+
+  stillButton.addEventListener("click", async () => {
+    stillButton.disabled = true;
+    try {
+      const still = await matcher.captureStill({ branding: brandingToggle.checked });
+      if (still) {
+        await matcher.shareCapture(still);
+      }
+    } catch (err) {
+      showError('captureStill', err);
+    } finally {
+      stillButton.disabled = false;
+    }
+  });
+
+  clipButton.addEventListener("click", async () => {
+    if (matcher.isRecordingClip()) {
+      matcher.stopClip();
+      return;
+    }
+    clipButton.textContent = "Stop";
+    clipButton.classList.add("recording");
+    try {
+      const clip = await matcher.recordClip({ branding: brandingToggle.checked });
+      clipButton.textContent = "Clip";
+      clipButton.classList.remove("recording");
+      await matcher.shareCapture(clip);
+    } catch (err) {
+      clipButton.textContent = "Clip";
+      clipButton.classList.remove("recording");
+      showError('recordClip', err);
+    }
+  });
+
+  // Browsers without MediaRecorder can still take photos
+  clipButton.hidden = typeof MediaRecorder === "undefined";
+  controls.hidden = false;
+}
+
+// Window onload function to initialize AR processing
+window.onload = async () => {
+  try {
+    // ?artwork=<folder name>[,<folder name>...] limits recognition to those artworks,
+    // e.g. ?artwork=LethalWeapon. Without it every artwork in artworks.json is recognized.
+    // ?source=<url> replaces the camera with a video (.mp4, .webm, .mov) or an image,
+    // e.g. ?source=LethalWeapon/Marker%20Versions/medium2.jpg
+    // ?countObjects logs the live OpenCV objects every 100 frames, to find memory leaks
+    // ?debug draws keypoints, matches, inliers and the marker outline with a HUD of timings on the canvas,
+    // and shows the quality and the logged errors on the page
+    // ?lang=<code> picks the language of the messages instead of the browser's
+    // ?tune shows sliders for the tuning values below the camera and exports them for config.json
+    document.getElementById("developerLog").hidden = !debug;
+    arFeatureMatcher = await ARFeatureMatcher.create(document.getElementById("outputCanvas"), {
+      artworks: params.get("artwork") ? params.get("artwork").split(",") : null,
+      sourceUrl: params.get("source"),
+      cameraSelect: document.getElementById("cameraSelect"),
+      cameraFileInput: document.getElementById("cameraFileInput"),
+      countOpenCVObjects: params.has("countObjects"),
+      locale: params.get("lang"),
+      debug: debug,
+    });
+
+    arFeatureMatcher.addEventListener("statuschange", (event) => {
+      showStatus(event.detail, arFeatureMatcher);
+    });
+    arFeatureMatcher.addEventListener("qualitychange", (event) => {
+      // log the average quality indicator in the div
+      const { quality, name } = event.detail;
+      document.getElementById("log").innerText = `Quality: ${quality.toFixed(3)} (${name})`;
+    });
+    if (debug) {
+      // Fires with every adaptation, which is often on slow phones, so only while debugging
+      arFeatureMatcher.addEventListener("qualitysettingschange", (event) => {
+        const decision = event.detail;
+        console.log(
+          `Quality: ${decision.reason} (${decision.frameRate.toFixed(1)} fps, quality ${decision.quality.toFixed(3)}) ` +
+            `-> width ${decision.width}, threshold x${decision.thresholdFactor.toPrecision(2)}, ` +
+            `detection every ${decision.detectionInterval} frames`
+        );
+      });
+    }
+    if (params.has("countObjects")) {
+      let renderedFrames = 0;
+      arFeatureMatcher.addEventListener("framerendered", () => {
+        if (++renderedFrames % 100 === 0) {
+          console.log("Live OpenCV objects:", arFeatureMatcher.getMemoryDiagnostics());
+        }
+      });
+    }
+    arFeatureMatcher.addEventListener("ready", () => setupCaptureControls(arFeatureMatcher), {
+      once: true,
+    });
+    if (params.has("tune")) {
+      const tuningPanel = document.getElementById("tuningPanel");
+      new TuningPanel(tuningPanel, arFeatureMatcher);
+      tuningPanel.hidden = false;
+    }
+    arFeatureMatcher.addEventListener("error", (event) => {
+      showError(event.detail.methodName, event.detail.error);
+    });
+
+    arFeatureMatcher.start();
+  } catch (err) {
+    console.error("window.onload error: ", err);
+    showError('window.onload', err);
+    // A broken config.json names the artwork and the field, reloading would not help
+    const status =
+      typeof describeStatus === "function"
+        ? describeStatus(
+            classifyStartError(err),
+            resolveStatusLanguage(params.get("lang") || navigator.languages),
+            err
+          )
+        : LOAD_FAILURE_STATUS;
+    showStatus(status, null);
+  }
+};
+
+// Release the camera and OpenCV memory on window unload
+window.addEventListener("beforeunload", () => {
+  if (arFeatureMatcher) {
+    arFeatureMatcher.dispose();
+  }
+});
@@ -0,0 +1,141 @@
+// Precomputed reference marker features, written by tools/precompute-markers.js so phones can skip
+// the AKAZE detection of the marker image at startup. The file is JSON with the arrays in base64:
+// {
+//   "format": 2,
+//   "detector": { "type": "AKAZE", "threshold": 0.0005, "referenceScales": [1, 0.5] },  // Only used with the same detector
+//   "marker": "MarkerSmall.jpg", "width": 300, "height": 342,
+//   "markerMask": { "include": [[...]], "exclude": [] },  // markerMask of config.json, null without one
+//   "levels": [                                // One per reference scale, see FeaturePipeline.detectReferenceLevels
+//     {
+//       "scale": 1,
+//       "keypoints": "<base64 Float32Array>",  // x, y, size, angle, response, octave, class_id per keypoint
+//       "descriptors": { "rows": 500, "cols": 61, "type": 0, "data": "<base64 bytes>" }
+//     }
+//   ]
+// }
+
+const MARKER_FEATURES_FORMAT = 2;
+const KEYPOINT_FIELDS = 7;
+
+// Whether two detector descriptions (see FeaturePipeline.describeDetector) produce the same features
+function isSameDetector(detector, otherDetector) {
+  // Both come from describeDetector, so their keys are in the same order
+  return JSON.stringify(detector) === JSON.stringify(otherDetector);
+}
+
+// Plain object with the features of a reference marker from the MarkerRegistry, ready for JSON.stringify
+function serializeMarkerFeatures(marker, detector, markerFileName, markerMask = null) {
+  return {
+    format: MARKER_FEATURES_FORMAT,
+    detector: detector,
+    marker: markerFileName,
+    markerMask: markerMask,
+    width: marker.width,
+    height: marker.height,
+    levels: marker.levels.map((level) => ({
+      scale: level.scale,
+      keypoints: bytesToBase64(new Uint8Array(serializeKeypoints(level.keypoints).buffer)),
+      descriptors: {
+        rows: level.descriptors.rows,
+        cols: level.descriptors.cols,
+        type: level.descriptors.type(),
+        data: bytesToBase64(level.descriptors.data),
+      },
+    })),
+  };
+}
+
+// Flat Float32Array of a cv.KeyPointVector, KEYPOINT_FIELDS values per keypoint
+function serializeKeypoints(keypointVector) {
+  const keypoints = new Float32Array(keypointVector.size() * KEYPOINT_FIELDS);
+  for (let i = 0; i < keypointVector.size(); i++) {
+    const keypoint = keypointVector.get(i);
+    keypoints.set(
+      [
+        keypoint.pt.x,
+        keypoint.pt.y,
+        keypoint.size,
+        keypoint.angle,
+        keypoint.response,
+        keypoint.octave,
+        keypoint.class_id,
+      ],
+      i * KEYPOINT_FIELDS
+    );
+  }
+  return keypoints;
+}
+
+// Decode the parsed JSON into typed arrays, which can be transferred to the worker
+function parseMarkerFeatures(json) {
+  if (json.format !== MARKER_FEATURES_FORMAT) {
+    throw new Error(`Unsupported marker features format ${json.format}`);
+  }
+  return {
+    format: json.format,
+    detector: json.detector,
+    // Files written before marker masks existed were computed without one
+    markerMask: json.markerMask || null,
+    width: json.width,
+    height: json.height,
+    levels: json.levels.map((level) => ({
+      scale: level.scale,
+      keypoints: new Float32Array(base64ToBytes(level.keypoints).buffer),
+      descriptors: {
+        rows: level.descriptors.rows,
+        cols: level.descriptors.cols,
+        type: level.descriptors.type,
+        data: base64ToBytes(level.descriptors.data),
+      },
+    })),
+  };
+}
+
+// Buffers of parsed features, to transfer them to the worker
+function getMarkerFeaturesBuffers(features) {
+  return features.levels.flatMap((level) => [
+    level.keypoints.buffer,
+    level.descriptors.data.buffer,
+  ]);
+}
+
+// cv.KeyPointVector from the flat keypoint array of parseMarkerFeatures
+function createKeyPointVector(keypoints) {
+  const keypointVector = new cv.KeyPointVector();
+  for (let k = 0; k < keypoints.length; k += KEYPOINT_FIELDS) {
+    keypointVector.push_back({
+      pt: { x: keypoints[k], y: keypoints[k + 1] },
+      size: keypoints[k + 2],
+      angle: keypoints[k + 3],
+      response: keypoints[k + 4],
+      octave: keypoints[k + 5],
+      class_id: keypoints[k + 6],
+    });
+  }
+  return keypointVector;
+}
+
+// cv.Mat from the descriptors of parseMarkerFeatures
+function createDescriptorMat(descriptors) {
+  const mat = new cv.Mat(descriptors.rows, descriptors.cols, descriptors.type);
+  mat.data.set(descriptors.data);
+  return mat;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  // In chunks, String.fromCharCode takes a limited number of arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
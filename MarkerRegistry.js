@@ -0,0 +1,159 @@
+function deleteMarkerLevels(marker) {
+  for (const level of marker.levels) {
+    level.keypoints.delete();
+    level.descriptors.delete();
+  }
+}
+
+// Holds every reference marker the page can recognize and decides which one is currently shown
+class MarkerRegistry {
+  constructor(switchMargin = 0.25, switchMinimumLead = 0.01, switchConfirmationFrames = 3) {
+    try {
+      // A challenger must beat the active marker's quality by this fraction...
+      this.switchMargin = switchMargin;
+      // ...and by at least this absolute amount, so two weak scores near zero never trigger a switch
+      this.switchMinimumLead = switchMinimumLead;
+      // Number of consecutive frames a challenger has to stay ahead before the overlay switches
+      this.switchConfirmationFrames = switchConfirmationFrames;
+
+      this.markers = [];
+      this.activeMarker = null;
+
+      this.switchCandidate = null;
+      this.switchCandidateFrames = 0;
+    } catch (error) {
+      logError('MarkerRegistry.constructor', error);
+    }
+  }
+
+  // Register a loaded marker: { id, name, width, height, levels: [{ scale, keypoints, descriptors }],
+  // detector, detectorSettings, smoother }, see FeaturePipeline.addReference
+  addMarker(marker) {
+    try {
+      this.markers.push(marker);
+    } catch (error) {
+      logError('MarkerRegistry.addMarker', error);
+    }
+  }
+
+  // Unregister the marker with this id and delete its Mats
+  // Returns the removed marker, or null if there was none
+  removeMarker(id) {
+    try {
+      const marker = this.markers.find((candidate) => candidate.id === id);
+      if (!marker) return null;
+      this.markers = this.markers.filter((candidate) => candidate !== marker);
+      if (this.activeMarker === marker || this.switchCandidate === marker) {
+        this.reset();
+      }
+      deleteMarkerLevels(marker);
+      return marker;
+    } catch (error) {
+      logError('MarkerRegistry.removeMarker', error);
+      return null;
+    }
+  }
+
+  get size() {
+    return this.markers.length;
+  }
+
+  // Pick the marker to display from this frame's scores ([{ marker, qualityIndicator }])
+  // Returns the active marker and whether it changed with this frame
+  selectMarker(scores) {
+    try {
+      let best = null;
+      for (const score of scores) {
+        if (!best || score.qualityIndicator > best.qualityIndicator) {
+          best = score;
+        }
+      }
+
+      if (!best || best.qualityIndicator <= 0) {
+        this.resetSwitchCandidate();
+        return { marker: this.activeMarker, switched: false };
+      }
+
+      // Nothing shown yet, take the best marker right away
+      if (!this.activeMarker) {
+        this.activeMarker = best.marker;
+        this.resetSwitchCandidate();
+        return { marker: this.activeMarker, switched: true };
+      }
+
+      if (best.marker === this.activeMarker) {
+        this.resetSwitchCandidate();
+        return { marker: this.activeMarker, switched: false };
+      }
+
+      // Only switch when the challenger is clearly and consistently better than the active marker
+      const activeScore = scores.find((score) => score.marker === this.activeMarker);
+      const activeQuality = activeScore ? activeScore.qualityIndicator : 0;
+      const lead = best.qualityIndicator - activeQuality;
+      const requiredLead = Math.max(
+        activeQuality * this.switchMargin,
+        this.switchMinimumLead
+      );
+
+      if (lead <= requiredLead) {
+        this.resetSwitchCandidate();
+        return { marker: this.activeMarker, switched: false };
+      }
+
+      if (this.switchCandidate === best.marker) {
+        this.switchCandidateFrames++;
+      } else {
+        this.switchCandidate = best.marker;
+        this.switchCandidateFrames = 1;
+      }
+
+      if (this.switchCandidateFrames >= this.switchConfirmationFrames) {
+        this.activeMarker = best.marker;
+        this.resetSwitchCandidate();
+        return { marker: this.activeMarker, switched: true };
+      }
+
+      return { marker: this.activeMarker, switched: false };
+    } catch (error) {
+      logError('MarkerRegistry.selectMarker', error);
+      return { marker: this.activeMarker, switched: false };
+    }
+  }
+
+  resetSwitchCandidate() {
+    this.switchCandidate = null;
+    this.switchCandidateFrames = 0;
+  }
+
+  // The selection state, to undo the selectMarker calls of a detection that is repeated
+  saveSelection() {
+    return {
+      activeMarker: this.activeMarker,
+      switchCandidate: this.switchCandidate,
+      switchCandidateFrames: this.switchCandidateFrames,
+    };
+  }
+
+  restoreSelection(selection) {
+    this.activeMarker = selection.activeMarker;
+    this.switchCandidate = selection.switchCandidate;
+    this.switchCandidateFrames = selection.switchCandidateFrames;
+  }
+
+  // Forget which marker is shown, the markers stay registered
+  reset() {
+    this.activeMarker = null;
+    this.resetSwitchCandidate();
+  }
+
+  // Clean up the Mats of every registered marker
+  delete() {
+    try {
+      this.markers.forEach(deleteMarkerLevels);
+      this.markers = [];
+      this.activeMarker = null;
+    } catch (error) {
+      logError('MarkerRegistry.delete', error);
+    }
+  }
+}
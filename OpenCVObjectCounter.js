@@ -0,0 +1,129 @@
+// Debug mode that counts the live OpenCV.js objects, to find the ones that are never deleted.
+// OpenCV.js objects live in WebAssembly memory, which the garbage collector does not free, so every
+// object without a delete() grows the heap until the page runs out of memory.
+// Counted are the objects created with new (also inside helpers such as cv.matFromArray), the Mats
+// returned by the functions in MAT_RETURNING_FUNCTIONS and the copies vector.get() returns of nested
+// vectors. Objects created before install() are not counted, and neither is their delete().
+
+const COUNTED_CLASSES = ["Mat", "MatVector", "KeyPointVector", "DMatchVector", "DMatchVectorVector", "PointVector"];
+// Functions of cv and Mat methods that return a new Mat
+const MAT_RETURNING_FUNCTIONS = ["findHomography", "getPerspectiveTransform", "getAffineTransform", "getRotationMatrix2D", "estimateAffine2D"];
+const MAT_RETURNING_METHODS = ["clone", "roi", "row", "col", "rowRange", "colRange", "mul", "t", "inv"];
+const MAT_RETURNING_STATICS = ["zeros", "ones", "eye"];
+// Vectors whose get() returns a copy that has to be deleted, with the class of the copy
+const NESTED_VECTORS = { DMatchVectorVector: "DMatchVector", MatVector: "Mat" };
+// Warn after this many frames in a row that left more objects alive than the one before
+const LEAK_WARNING_FRAMES = 30;
+
+class OpenCVObjectCounter {
+  // The counter patches cv, so there is only one, shared by every pipeline of the thread
+  static install() {
+    if (!OpenCVObjectCounter.instance) {
+      OpenCVObjectCounter.instance = new OpenCVObjectCounter();
+    }
+    return OpenCVObjectCounter.instance;
+  }
+
+  constructor() {
+    try {
+      this.liveObjects = new WeakSet(); // Counted objects that were not deleted yet
+      this.live = {}; // Class name -> live objects
+      this.created = {}; // Class name -> objects created since the last endFrame
+      this.previousLiveTotal = null;
+      this.growingFrames = 0;
+
+      const classNames = COUNTED_CLASSES.filter((className) => typeof cv[className] === "function");
+      classNames.forEach((className) => {
+        this.live[className] = 0;
+        this.created[className] = 0;
+        this.wrapClass(className);
+      });
+      MAT_RETURNING_FUNCTIONS.forEach((name) => this.wrapFunction(cv, name, "Mat"));
+      MAT_RETURNING_METHODS.forEach((name) => this.wrapFunction(cv.Mat.prototype, name, "Mat"));
+      MAT_RETURNING_STATICS.forEach((name) => this.wrapFunction(cv.Mat, name, "Mat"));
+      Object.entries(NESTED_VECTORS).forEach(([className, elementClassName]) => {
+        if (classNames.includes(className)) {
+          this.wrapFunction(cv[className].prototype, "get", elementClassName);
+        }
+      });
+    } catch (error) {
+      logError('OpenCVObjectCounter.constructor', error);
+    }
+  }
+
+  // Count the objects of a class from their constructor to their delete()
+  wrapClass(className) {
+    const counter = this;
+    const originalClass = cv[className];
+    const originalDelete = originalClass.prototype.delete;
+    // Own property, the inherited delete is shared by every class
+    originalClass.prototype.delete = function () {
+      const counted = counter.liveObjects.has(this);
+      originalDelete.call(this);
+      if (counted) {
+        counter.liveObjects.delete(this);
+        counter.live[className]--;
+      }
+    };
+    // A Proxy keeps statics and instanceof working
+    cv[className] = new Proxy(originalClass, {
+      construct(target, args, newTarget) {
+        return counter.count(Reflect.construct(target, args, newTarget), className);
+      },
+    });
+  }
+
+  wrapFunction(owner, name, className) {
+    const counter = this;
+    const original = owner[name];
+    if (typeof original !== "function") return;
+    const wrapper = function (...args) {
+      return counter.count(original.apply(this, args), className);
+    };
+    // Overloaded embind functions find their overloadTable on the property they are called through
+    owner[name] = Object.assign(wrapper, original);
+  }
+
+  count(object, className) {
+    if (object && typeof object === "object" && !this.liveObjects.has(object)) {
+      this.liveObjects.add(object);
+      this.live[className]++;
+      this.created[className]++;
+    }
+    return object;
+  }
+
+  // Call once per processed frame
+  // Returns { live, created, liveTotal, createdTotal, growth } with the counts per class, created since the
+  // previous call and growth the change of liveTotal since then
+  endFrame() {
+    try {
+      const sum = (counts) => Object.values(counts).reduce((total, value) => total + value, 0);
+      const liveTotal = sum(this.live);
+      const frameCounts = {
+        live: Object.assign({}, this.live),
+        created: Object.assign({}, this.created),
+        liveTotal: liveTotal,
+        createdTotal: sum(this.created),
+        growth: this.previousLiveTotal === null ? 0 : liveTotal - this.previousLiveTotal,
+      };
+      Object.keys(this.created).forEach((className) => {
+        this.created[className] = 0;
+      });
+      this.previousLiveTotal = liveTotal;
+
+      this.growingFrames = frameCounts.growth > 0 ? this.growingFrames + 1 : 0;
+      if (this.growingFrames === LEAK_WARNING_FRAMES) {
+        console.warn(
+          `Live OpenCV objects grew for ${LEAK_WARNING_FRAMES} frames in a row, now ${liveTotal}: ${JSON.stringify(frameCounts.live)}`
+        );
+      }
+      return frameCounts;
+    } catch (error) {
+      logError('OpenCVObjectCounter.endFrame', error);
+      return null;
+    }
+  }
+}
+
+OpenCVObjectCounter.instance = null;
@@ -0,0 +1,209 @@
+// Follows the inlier points of the last detection from frame to frame with Lucas-Kanade optical flow
+// and re-estimates the homography from them, which is much cheaper than a full AKAZE detection.
+class OpticalFlowTracker {
+  constructor(settings) {
+    try {
+      // Below this many surviving points the homography is no longer trusted
+      this.minTrackedPoints = settings.minTrackedPoints;
+      // Give up once fewer than this fraction of the initial points are still tracked
+      this.minTrackedRatio = 0.5;
+      // Median distance in pixels between tracked points and the reprojected reference points
+      // above which the tracks are considered to have drifted
+      this.maxTrackingReprojectionError = settings.maxTrackingReprojectionError;
+      // Force a fresh detection after this many tracked frames, even if tracking looks fine
+      this.maxTrackedFrames = settings.maxTrackedFrames;
+
+      // Lucas-Kanade parameters
+      this.windowSize = new cv.Size(21, 21);
+      this.pyramidLevels = 3;
+      this.termCriteria = new cv.TermCriteria(
+        cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_COUNT,
+        30,
+        0.01
+      );
+
+      this.previousGrayMat = new cv.Mat();
+      this.framePoints = []; // Flat [x0, y0, x1, y1, ...] positions in the previous frame
+      this.referencePoints = []; // Matching positions in the reference marker
+      this.initialPointCount = 0;
+      this.trackedFrames = 0;
+      this.isTracking = false;
+    } catch (error) {
+      logError('OpticalFlowTracker.constructor', error);
+    }
+  }
+
+  // Start tracking from a frame with a verified homography
+  // framePoints and referencePoints are flat [x, y, ...] arrays of the RANSAC inliers
+  start(grayMat, framePoints, referencePoints) {
+    try {
+      if (framePoints.length / 2 < this.minTrackedPoints) {
+        this.reset();
+        return;
+      }
+      grayMat.copyTo(this.previousGrayMat);
+      this.framePoints = framePoints;
+      this.referencePoints = referencePoints;
+      this.initialPointCount = framePoints.length / 2;
+      this.trackedFrames = 0;
+      this.isTracking = true;
+    } catch (error) {
+      logError('OpticalFlowTracker.start', error);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.isTracking = false;
+    this.framePoints = [];
+    this.referencePoints = [];
+    this.initialPointCount = 0;
+    this.trackedFrames = 0;
+  }
+
+  get trackedPointCount() {
+    return this.framePoints.length / 2;
+  }
+
+  // Track the points into the next frame
+  // Returns the new homography as a row-major array of 9 numbers, or null when tracking is lost
+  track(grayMat) {
+    let previousPoints = null;
+    let nextPoints = new cv.Mat();
+    let status = new cv.Mat();
+    let trackingError = new cv.Mat();
+    let referenceMat = null;
+    let trackedMat = null;
+    let inlierMask = new cv.Mat();
+    let h = null;
+
+    try {
+      if (!this.isTracking) return null;
+      if (
+        grayMat.cols !== this.previousGrayMat.cols ||
+        grayMat.rows !== this.previousGrayMat.rows ||
+        this.trackedFrames >= this.maxTrackedFrames
+      ) {
+        this.reset();
+        return null;
+      }
+
+      previousPoints = cv.matFromArray(
+        this.trackedPointCount,
+        1,
+        cv.CV_32FC2,
+        this.framePoints
+      );
+      cv.calcOpticalFlowPyrLK(
+        this.previousGrayMat,
+        grayMat,
+        previousPoints,
+        nextPoints,
+        status,
+        trackingError,
+        this.windowSize,
+        this.pyramidLevels,
+        this.termCriteria
+      );
+
+      // Keep the points that were found again and are still inside the frame
+      let trackedPoints = [];
+      let trackedReferencePoints = [];
+      for (let i = 0; i < this.trackedPointCount; i++) {
+        const x = nextPoints.data32F[i * 2];
+        const y = nextPoints.data32F[i * 2 + 1];
+        if (
+          status.data[i] === 1 &&
+          x >= 0 && y >= 0 && x < grayMat.cols && y < grayMat.rows
+        ) {
+          trackedPoints.push(x, y);
+          trackedReferencePoints.push(this.referencePoints[i * 2], this.referencePoints[i * 2 + 1]);
+        }
+      }
+
+      const trackedCount = trackedPoints.length / 2;
+      if (
+        trackedCount < this.minTrackedPoints ||
+        trackedCount < this.initialPointCount * this.minTrackedRatio
+      ) {
+        this.reset();
+        return null;
+      }
+
+      referenceMat = cv.matFromArray(trackedCount, 1, cv.CV_32FC2, trackedReferencePoints);
+      trackedMat = cv.matFromArray(trackedCount, 1, cv.CV_32FC2, trackedPoints);
+      h = cv.findHomography(referenceMat, trackedMat, cv.RANSAC, 3, inlierMask);
+      if (h.empty()) {
+        this.reset();
+        return null;
+      }
+
+      const homography = Array.from(h.data64F);
+      if (
+        this.calculateMedianReprojectionError(homography, trackedReferencePoints, trackedPoints) >
+        this.maxTrackingReprojectionError
+      ) {
+        this.reset();
+        return null;
+      }
+
+      // Continue with the inliers only, so outliers cannot pull the next estimate away
+      let inlierPoints = [];
+      let inlierReferencePoints = [];
+      for (let i = 0; i < trackedCount; i++) {
+        if (inlierMask.data[i] === 1) {
+          inlierPoints.push(trackedPoints[i * 2], trackedPoints[i * 2 + 1]);
+          inlierReferencePoints.push(trackedReferencePoints[i * 2], trackedReferencePoints[i * 2 + 1]);
+        }
+      }
+      if (inlierPoints.length / 2 < this.minTrackedPoints) {
+        this.reset();
+        return null;
+      }
+
+      grayMat.copyTo(this.previousGrayMat);
+      this.framePoints = inlierPoints;
+      this.referencePoints = inlierReferencePoints;
+      this.trackedFrames++;
+      return homography;
+    } catch (error) {
+      logError('OpticalFlowTracker.track', error);
+      this.reset();
+      return null;
+    } finally {
+      if (previousPoints) previousPoints.delete();
+      nextPoints.delete();
+      status.delete();
+      trackingError.delete();
+      if (referenceMat) referenceMat.delete();
+      if (trackedMat) trackedMat.delete();
+      inlierMask.delete();
+      if (h) h.delete();
+    }
+  }
+
+  // Median distance between the tracked points and the reference points mapped by the homography
+  calculateMedianReprojectionError(homography, referencePoints, framePoints) {
+    const [a, b, c, d, e, f, g, hh, i] = homography;
+    let errors = [];
+    for (let k = 0; k < referencePoints.length; k += 2) {
+      const x = referencePoints[k];
+      const y = referencePoints[k + 1];
+      const w = g * x + hh * y + i;
+      const projectedX = (a * x + b * y + c) / w;
+      const projectedY = (d * x + e * y + f) / w;
+      errors.push(Math.hypot(projectedX - framePoints[k], projectedY - framePoints[k + 1]));
+    }
+    errors.sort((p, q) => p - q);
+    return errors[Math.floor(errors.length / 2)];
+  }
+
+  delete() {
+    try {
+      this.previousGrayMat.delete();
+      this.reset();
+    } catch (error) {
+      logError('OpticalFlowTracker.delete', error);
+    }
+  }
+}
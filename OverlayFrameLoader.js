@@ -0,0 +1,92 @@
+// Loads a known list of overlay frames in parallel and hands every frame over as soon as it arrives
+class OverlayFrameLoader {
+  constructor(frameUrls, concurrency = OverlayFrameLoader.DEFAULT_CONCURRENCY) {
+    try {
+      this.frameUrls = frameUrls;
+      // Browsers open about six connections per host, more parallel requests only queue up
+      this.concurrency = concurrency;
+
+      this.nextIndex = 0; // Next frame to request
+      this.loadedCount = 0;
+      this.failedCount = 0;
+
+      // Single canvas used to turn each decoded image into a cv.Mat
+      this.decodeCanvas = document.createElement("canvas");
+      this.decodeContext = this.decodeCanvas.getContext("2d", {
+        willReadFrequently: true,
+      });
+    } catch (error) {
+      logError('OverlayFrameLoader.constructor', error);
+    }
+  }
+
+  get total() {
+    return this.frameUrls.length;
+  }
+
+  get settledCount() {
+    return this.loadedCount + this.failedCount;
+  }
+
+  // Load every frame. onFrameLoaded(index, mat) is called per frame in arrival order,
+  // onProgress(loaded, total) after every settled frame.
+  // Resolves once all frames are settled; frames that fail are reported and skipped.
+  load(onFrameLoaded, onProgress = () => {}) {
+    try {
+      const loadNext = async () => {
+        while (this.nextIndex < this.total) {
+          const index = this.nextIndex++;
+          try {
+            const mat = await this.loadFrame(this.frameUrls[index]);
+            this.loadedCount++;
+            onFrameLoaded(index, mat);
+          } catch (err) {
+            this.failedCount++;
+            logError('OverlayFrameLoader.load', err);
+          }
+          onProgress(this.loadedCount, this.total);
+        }
+      };
+
+      const workers = [];
+      for (let i = 0; i < Math.min(this.concurrency, this.total); i++) {
+        workers.push(loadNext());
+      }
+      return Promise.all(workers).then(() => this.releaseDecodeCanvas());
+    } catch (error) {
+      logError('OverlayFrameLoader.load', error);
+      return Promise.resolve();
+    }
+  }
+
+  // Download and decode a single frame into an RGBA cv.Mat
+  loadFrame(imageUrl) {
+    return new Promise((resolve, reject) => {
+      let img = new Image();
+      img.crossOrigin = "anonymous";
+      img.onload = () => {
+        try {
+          this.decodeCanvas.width = img.width;
+          this.decodeCanvas.height = img.height;
+          this.decodeContext.clearRect(0, 0, img.width, img.height);
+          this.decodeContext.drawImage(img, 0, 0);
+          resolve(cv.imread(this.decodeCanvas));
+        } catch (err) {
+          reject(err);
+        }
+      };
+      img.onerror = () => {
+        reject(new Error(`Overlay frame ${imageUrl} could not be loaded`));
+      };
+      img.src = imageUrl;
+    });
+  }
+
+  // Shrink the decode canvas so it does not keep a full-size bitmap alive
+  releaseDecodeCanvas() {
+    this.decodeCanvas.width = 0;
+    this.decodeCanvas.height = 0;
+  }
+}
+
+OverlayFrameLoader.DEFAULT_CONCURRENCY = 6;
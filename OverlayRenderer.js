@@ -0,0 +1,253 @@
+// Overlay renderers warp the overlay frame onto the display canvas at display resolution.
+// The homography comes from the low-resolution processing frame, so it is scaled up first.
+// Both renderers share the same interface: resize(width, height), draw(context, frame, frameVersion,
+// homography, opacity) and delete(). frame is an RGBA cv.Mat in reference marker coordinates;
+// frameVersion changes whenever the pixels of the same cv.Mat were replaced (e.g. by a video).
+
+// Scale a row-major homography so it maps into a frame scaleX times wider and scaleY times higher
+function scaleHomography(homography, scaleX, scaleY) {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  return [
+    a * scaleX, b * scaleX, c * scaleX,
+    d * scaleY, e * scaleY, f * scaleY,
+    g, h, i,
+  ];
+}
+
+// Inverse of a row-major 3x3 matrix, or null if it is singular
+function invertHomography(homography) {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const determinant = a * A + b * B + c * C;
+  if (!Number.isFinite(determinant) || Math.abs(determinant) < 1e-12) return null;
+  return [
+    A / determinant, (c * h - b * i) / determinant, (b * f - c * e) / determinant,
+    B / determinant, (a * i - c * g) / determinant, (c * d - a * f) / determinant,
+    C / determinant, (b * g - a * h) / determinant, (a * e - b * d) / determinant,
+  ];
+}
+
+// Draws the overlay on the GPU: every display pixel is mapped back into the overlay frame
+// with the inverse homography, so the warp is exact and costs no CPU time
+class WebGLOverlayRenderer {
+  constructor(gl) {
+    try {
+      this.gl = gl;
+      this.canvas = gl.canvas;
+      this.program = this.createProgram(
+        `attribute vec2 position;
+        void main() {
+          gl_Position = vec4(position, 0.0, 1.0);
+        }`,
+        `precision highp float;
+        uniform sampler2D overlay;
+        uniform mat3 inverseHomography; // Display pixel -> overlay pixel
+        uniform vec2 overlaySize;
+        uniform float canvasHeight;
+        void main() {
+          // gl_FragCoord counts from the bottom left pixel corner, the homography from the top left pixel
+          vec2 displayPoint = vec2(gl_FragCoord.x - 0.5, canvasHeight - gl_FragCoord.y - 0.5);
+          vec3 overlayPoint = inverseHomography * vec3(displayPoint, 1.0);
+          if (overlayPoint.z <= 0.0) discard; // Behind the camera
+          vec2 textureCoordinate = (overlayPoint.xy / overlayPoint.z + 0.5) / overlaySize;
+          if (any(lessThan(textureCoordinate, vec2(0.0))) || any(greaterThan(textureCoordinate, vec2(1.0)))) {
+            discard;
+          }
+          gl_FragColor = texture2D(overlay, textureCoordinate);
+        }`
+      );
+      gl.useProgram(this.program);
+
+      // One triangle strip covering the whole canvas, the fragment shader does the warping
+      this.positionBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+      const positionLocation = gl.getAttribLocation(this.program, "position");
+      gl.enableVertexAttribArray(positionLocation);
+      gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+      this.inverseHomographyLocation = gl.getUniformLocation(this.program, "inverseHomography");
+      this.overlaySizeLocation = gl.getUniformLocation(this.program, "overlaySize");
+      this.canvasHeightLocation = gl.getUniformLocation(this.program, "canvasHeight");
+
+      // Overlay frames have any size, which WebGL 1 only allows without mipmaps and repeat
+      this.texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      // The canvas is composited with premultiplied alpha, so transparent edges filter cleanly
+      gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+      // Frame currently in the texture, uploads are skipped while it does not change
+      this.uploadedFrame = null;
+      this.uploadedFrameVersion = null;
+    } catch (error) {
+      logError('WebGLOverlayRenderer.constructor', error);
+      throw error;
+    }
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const program = gl.createProgram();
+    for (const [type, source] of [
+      [gl.VERTEX_SHADER, vertexSource],
+      [gl.FRAGMENT_SHADER, fragmentSource],
+    ]) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Overlay shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+      }
+      gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Overlay shader failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+  }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.gl.viewport(0, 0, width, height);
+  }
+
+  // homography maps reference coordinates to display canvas coordinates
+  draw(context, frame, frameVersion, homography, opacity) {
+    try {
+      const gl = this.gl;
+      const inverse = invertHomography(homography);
+      if (!inverse || gl.isContextLost()) return;
+
+      if (frame !== this.uploadedFrame || frameVersion !== this.uploadedFrameVersion) {
+        gl.texImage2D(
+          gl.TEXTURE_2D,
+          0,
+          gl.RGBA,
+          frame.cols,
+          frame.rows,
+          0,
+          gl.RGBA,
+          gl.UNSIGNED_BYTE,
+          frame.data
+        );
+        this.uploadedFrame = frame;
+        this.uploadedFrameVersion = frameVersion;
+      }
+
+      // WebGL expects column-major matrices
+      const [a, b, c, d, e, f, g, h, i] = inverse;
+      gl.uniformMatrix3fv(this.inverseHomographyLocation, false, [a, d, g, b, e, h, c, f, i]);
+      gl.uniform2f(this.overlaySizeLocation, frame.cols, frame.rows);
+      gl.uniform1f(this.canvasHeightLocation, this.canvas.height);
+
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      // Copied within the same task, so the drawing buffer has not been cleared yet
+      context.globalAlpha = opacity;
+      context.drawImage(this.canvas, 0, 0);
+      context.globalAlpha = 1;
+    } catch (error) {
+      logError('WebGLOverlayRenderer.draw', error);
+    }
+  }
+
+  delete() {
+    try {
+      const gl = this.gl;
+      gl.deleteTexture(this.texture);
+      gl.deleteBuffer(this.positionBuffer);
+      gl.deleteProgram(this.program);
+      this.uploadedFrame = null;
+    } catch (error) {
+      logError('WebGLOverlayRenderer.delete', error);
+    }
+  }
+}
+
+// Fallback without WebGL: warps the overlay with cv.warpPerspective on the CPU, at display resolution
+class CanvasOverlayRenderer {
+  constructor() {
+    try {
+      // Off-screen canvas for holding the transformed overlay image
+      this.canvas = document.createElement("canvas");
+      this.transformedOverlay = null; // Reused while the display size stays the same
+    } catch (error) {
+      logError('CanvasOverlayRenderer.constructor', error);
+    }
+  }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    if (this.transformedOverlay) {
+      this.transformedOverlay.delete();
+      this.transformedOverlay = null;
+    }
+  }
+
+  // homography maps reference coordinates to display canvas coordinates
+  draw(context, frame, frameVersion, homography, opacity) {
+    let h = null;
+    try {
+      if (!this.transformedOverlay) {
+        this.transformedOverlay = new cv.Mat();
+      }
+      h = cv.matFromArray(3, 3, cv.CV_64F, homography);
+
+      // Warp the overlay according to the transformation matrix
+      cv.warpPerspective(
+        frame,
+        this.transformedOverlay,
+        h,
+        new cv.Size(this.canvas.width, this.canvas.height)
+      );
+
+      // Draw the transformed overlay on the off-screen canvas
+      cv.imshow(this.canvas, this.transformedOverlay);
+
+      // Apply the overlay with the adjusted opacity
+      context.globalAlpha = opacity;
+      context.drawImage(this.canvas, 0, 0);
+      context.globalAlpha = 1;
+    } catch (error) {
+      logError('CanvasOverlayRenderer.draw', error);
+    } finally {
+      if (h) h.delete();
+    }
+  }
+
+  delete() {
+    try {
+      if (this.transformedOverlay) {
+        this.transformedOverlay.delete();
+        this.transformedOverlay = null;
+      }
+    } catch (error) {
+      logError('CanvasOverlayRenderer.delete', error);
+    }
+  }
+}
+
+// Use the GPU where WebGL is available, the CPU otherwise
+function createOverlayRenderer() {
+  try {
+    const canvas = document.createElement("canvas");
+    const gl = canvas.getContext("webgl", { premultipliedAlpha: true, antialias: false });
+    if (gl) {
+      return new WebGLOverlayRenderer(gl);
+    }
+  } catch (error) {
+    console.warn("WebGL overlay rendering unavailable, warping on the CPU:", error);
+  }
+  return new CanvasOverlayRenderer();
+}
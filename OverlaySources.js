@@ -0,0 +1,325 @@
+// Overlay sources deliver the RGBA frame (as a cv.Mat in reference marker coordinates)
+// that is warped onto the marker. All of them share the same interface:
+// load(onProgress), start(), stop(), pause(), resume(), getFrame(now), setMarkerVisible(visible) and delete().
+// stop() ends the animation of a marker that is no longer active, pause() and resume()
+// hold the animation while the whole AR view is paused.
+// frameVersion changes whenever getFrame refilled a cv.Mat it returned before.
+
+// Animation from a sequence of PNG files, every frame is kept as a cv.Mat
+class PngSequenceOverlay {
+  constructor(artworkConfig) {
+    try {
+      this.artworkConfig = artworkConfig;
+      this.frames = []; // One cv.Mat per PNG file
+      this.currentFrameIndex = 0;
+      this.animationClock = null;
+      this.loader = null;
+      this.fullyLoaded = Promise.resolve(); // Resolves once every frame has been loaded
+      this.frameVersion = 0; // The frame Mats never change once loaded
+      this.deleted = false;
+    } catch (error) {
+      logError('PngSequenceOverlay.constructor', error);
+    }
+  }
+
+  // Start loading the PNG frames for overlay animation
+  // Resolves as soon as the first frame is available, the rest keeps streaming in (see fullyLoaded)
+  load(onProgress) {
+    try {
+      const artworkConfig = this.artworkConfig;
+      const frameUrls = artworkConfig.overlayFrameUrls;
+
+      // Frames that have not arrived yet stay null
+      this.frames = new Array(frameUrls.length).fill(null);
+      this.animationClock = new AnimationClock(
+        frameUrls.length,
+        artworkConfig.overlayFrameRate,
+        artworkConfig.overlayLoopMode,
+        artworkConfig.overlayPauseWhenLost
+      );
+
+      return new Promise((resolve, reject) => {
+        this.loader = new OverlayFrameLoader(frameUrls);
+        this.fullyLoaded = this.loader.load(
+          (index, mat) => {
+            if (this.deleted) {
+              mat.delete(); // Overlay was disposed while loading
+              return;
+            }
+            this.frames[index] = mat;
+            if (index === 0) resolve();
+          },
+          onProgress
+        ).then(() => {
+          if (this.loader.loadedCount === 0) {
+            reject(new Error(`No overlay frame of ${artworkConfig.name} could be loaded`));
+          }
+          resolve(); // In case the first frame failed but others arrived
+        });
+      });
+    } catch (error) {
+      logError('PngSequenceOverlay.load', error);
+      return Promise.reject(error);
+    }
+  }
+
+  // Closest frame at or before the requested one that has already arrived
+  findLoadedFrame(frameIndex) {
+    for (let i = frameIndex; i >= 0; i--) {
+      if (this.frames[i]) return this.frames[i];
+    }
+    return this.frames.find((frame) => frame) || null;
+  }
+
+  // Restart the animation from its first frame
+  start() {
+    this.currentFrameIndex = 0;
+    this.animationClock.start();
+  }
+
+  stop() {
+    this.animationClock.pause();
+  }
+
+  pause() {
+    this.animationClock.pause();
+  }
+
+  // Continue where the animation was paused
+  resume() {
+    this.animationClock.resume();
+  }
+
+  // Frame to show at the given time, or null when nothing should be shown
+  getFrame(now = performance.now()) {
+    try {
+      const frameIndex = this.animationClock.getFrameIndex(now);
+      if (frameIndex < 0) return null; // A "once" animation has finished
+      this.currentFrameIndex = frameIndex;
+      // Frames still streaming in are replaced by the closest one already loaded
+      return this.findLoadedFrame(frameIndex);
+    } catch (error) {
+      logError('PngSequenceOverlay.getFrame', error);
+      return null;
+    }
+  }
+
+  setMarkerVisible(visible) {
+    this.animationClock.setMarkerVisible(visible);
+  }
+
+  delete() {
+    try {
+      this.deleted = true;
+      this.frames.forEach((mat) => mat && mat.delete());
+      this.frames = [];
+    } catch (error) {
+      logError('PngSequenceOverlay.delete', error);
+    }
+  }
+}
+
+// Animation from a (transparent) WebM or MP4 file, played in a hidden video element.
+// Only the frame on display is pulled into a cv.Mat, so memory does not grow with the clip length.
+class VideoOverlay {
+  constructor(artworkConfig, width, height) {
+    try {
+      this.artworkConfig = artworkConfig;
+      // The video is scaled to the reference marker size so the homography applies unchanged
+      this.width = width;
+      this.height = height;
+
+      this.video = null;
+      this.frameCanvas = document.createElement("canvas");
+      this.frameCanvas.width = width;
+      this.frameCanvas.height = height;
+      this.frameContext = this.frameCanvas.getContext("2d", {
+        willReadFrequently: true,
+      });
+      this.frameMat = null; // Reused for every frame
+      this.lastFrameTime = -1; // video.currentTime of the frame in frameMat
+      this.frameVersion = 0; // Incremented every time frameMat is refilled
+
+      this.loopMode = artworkConfig.overlayLoopMode;
+      this.pauseWhenLost = artworkConfig.overlayPauseWhenLost;
+      this.playAudio = artworkConfig.overlayAudio;
+      this.ended = false;
+      this.markerVisible = false;
+
+      // Browsers only allow unmuted playback after the visitor interacted with the page
+      this.audioUnlocked = false;
+      this.unlockAudio = () => {
+        this.audioUnlocked = true;
+        this.updateAudio();
+      };
+    } catch (error) {
+      logError('VideoOverlay.constructor', error);
+    }
+  }
+
+  // Create the hidden video element and wait until its first frame can be drawn
+  // The browser streams the rest itself, so progress is reported as a single step
+  load(onProgress = () => {}) {
+    try {
+      return new Promise((resolve, reject) => {
+        this.video = document.createElement("video");
+        this.video.setAttribute("playsinline", "true");
+        this.video.crossOrigin = "anonymous"; // Needed to read the frames back
+        this.video.muted = true; // Muted videos may start without user interaction
+        this.video.preload = "auto";
+        this.video.loop = this.loopMode === "loop";
+        this.video.style.display = "none";
+        document.body.appendChild(this.video);
+
+        this.video.onended = () => {
+          this.ended = true;
+        };
+
+        this.video.onloadeddata = () => {
+          this.frameMat = new cv.Mat(this.height, this.width, cv.CV_8UC4);
+          onProgress(1, 1);
+          resolve();
+        };
+        this.video.onerror = () => {
+          const err = new Error(`Overlay video ${this.video.src} could not be loaded`);
+          logError('VideoOverlay.load - video.onerror', err);
+          reject(err);
+        };
+
+        this.video.src = this.pickSource();
+
+        if (this.playAudio) {
+          document.addEventListener("pointerdown", this.unlockAudio, { once: true });
+        }
+      });
+    } catch (error) {
+      logError('VideoOverlay.load', error);
+    }
+  }
+
+  // Use the fallback file (e.g. HEVC MP4 for Safari) when the browser cannot play the main one
+  pickSource() {
+    const { overlayVideoUrl, overlayVideoFallbackUrl } = this.artworkConfig;
+    if (!overlayVideoFallbackUrl) return overlayVideoUrl;
+
+    const extension = overlayVideoUrl.split(".").pop().toLowerCase();
+    const mimeType = extension === "webm" ? "video/webm" : "video/mp4";
+    return this.video.canPlayType(mimeType) ? overlayVideoUrl : overlayVideoFallbackUrl;
+  }
+
+  // Restart the clip from its first frame
+  start() {
+    try {
+      this.ended = false;
+      this.lastFrameTime = -1;
+      this.video.currentTime = 0;
+      this.video.play().catch((err) => {
+        logError('VideoOverlay.start - video.play', err);
+      });
+    } catch (error) {
+      logError('VideoOverlay.start', error);
+    }
+  }
+
+  stop() {
+    try {
+      this.video.pause();
+      this.video.muted = true;
+    } catch (error) {
+      logError('VideoOverlay.stop', error);
+    }
+  }
+
+  pause() {
+    try {
+      this.video.pause();
+    } catch (error) {
+      logError('VideoOverlay.pause', error);
+    }
+  }
+
+  // Continue where the clip was paused, unless it waits for the marker to come back
+  resume() {
+    try {
+      if (this.ended || (this.pauseWhenLost && !this.markerVisible)) return;
+      this.video.play().catch((err) => {
+        logError('VideoOverlay.resume - video.play', err);
+      });
+    } catch (error) {
+      logError('VideoOverlay.resume', error);
+    }
+  }
+
+  // Frame to show right now, or null when nothing should be shown
+  getFrame() {
+    try {
+      if (this.ended && this.loopMode === "once") return null;
+      if (this.video.readyState < 2) return this.lastFrameTime < 0 ? null : this.frameMat;
+
+      // Only read the pixels back when the video has moved on to a new frame
+      if (this.video.currentTime !== this.lastFrameTime) {
+        this.frameContext.clearRect(0, 0, this.width, this.height);
+        this.frameContext.drawImage(this.video, 0, 0, this.width, this.height);
+        const imageData = this.frameContext.getImageData(0, 0, this.width, this.height);
+        this.frameMat.data.set(imageData.data);
+        this.lastFrameTime = this.video.currentTime;
+        this.frameVersion++;
+      }
+      return this.frameMat;
+    } catch (error) {
+      logError('VideoOverlay.getFrame', error);
+      return null;
+    }
+  }
+
+  setMarkerVisible(visible) {
+    try {
+      this.markerVisible = visible;
+      if (this.pauseWhenLost && !this.ended) {
+        if (visible) {
+          this.video.play().catch((err) => {
+            logError('VideoOverlay.setMarkerVisible - video.play', err);
+          });
+        } else {
+          this.video.pause();
+        }
+      }
+      this.updateAudio();
+    } catch (error) {
+      logError('VideoOverlay.setMarkerVisible', error);
+    }
+  }
+
+  // The soundtrack is only audible while the marker is in view
+  updateAudio() {
+    if (!this.playAudio || !this.video) return;
+    this.video.muted = !(this.audioUnlocked && this.markerVisible);
+  }
+
+  delete() {
+    try {
+      document.removeEventListener("pointerdown", this.unlockAudio);
+      if (this.video) {
+        this.video.pause();
+        this.video.removeAttribute("src");
+        this.video.load(); // Release the media resource
+        this.video.remove();
+      }
+      if (this.frameMat) {
+        this.frameMat.delete();
+        this.frameMat = null;
+      }
+    } catch (error) {
+      logError('VideoOverlay.delete', error);
+    }
+  }
+}
+
+// Create the overlay source declared in an artwork's config.json
+// width and height are the size of the reference marker the overlay is drawn over
+function createOverlaySource(artworkConfig, width, height) {
+  if (artworkConfig.overlayVideoUrl) {
+    return new VideoOverlay(artworkConfig, width, height);
+  }
+  return new PngSequenceOverlay(artworkConfig);
+}
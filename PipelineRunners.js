@@ -0,0 +1,155 @@
+// Runners give ARFeatureMatcher the same promise-based interface to the FeaturePipeline,
+// whether it runs in a Web Worker or on the main thread:
+// init(settings), addReference(id, name, imageData, smoothing, markerMask, detectorSettings),
+// addPrecomputedReference(id, name, features, smoothing, markerMask, detectorSettings), removeReference(id),
+// configure(settings), processFrame(imageData) and terminate().
+// imageData and features objects passed in are transferred and must not be used by the caller afterwards.
+
+// Runs the FeaturePipeline in ARWorker.js so detection never blocks drawing
+class WorkerPipelineRunner {
+  constructor(workerUrl = "ARWorker.js") {
+    try {
+      this.worker = new Worker(workerUrl);
+      this.pendingRequests = new Map(); // requestId -> { resolve, reject }
+      this.nextRequestId = 1;
+
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        const error = new Error(event.message || "Worker failed to start");
+        logError('WorkerPipelineRunner.worker.onerror', error);
+        this.rejectAll(error);
+      };
+    } catch (error) {
+      logError('WorkerPipelineRunner.constructor', error);
+      throw error;
+    }
+  }
+
+  handleMessage(message) {
+    try {
+      // Errors logged inside the worker
+      if (message.type === "log") {
+        logError(`worker: ${message.methodName}`, new Error(message.message));
+        return;
+      }
+
+      const request = this.pendingRequests.get(message.requestId);
+      if (!request) return;
+      this.pendingRequests.delete(message.requestId);
+
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    } catch (error) {
+      logError('WorkerPipelineRunner.handleMessage', error);
+    }
+  }
+
+  request(type, payload = {}, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId++;
+      this.pendingRequests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ requestId, type, ...payload }, transfer);
+    });
+  }
+
+  rejectAll(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  init(settings) {
+    return this.request("init", { settings });
+  }
+
+  addReference(id, name, imageData, smoothing, markerMask, detectorSettings) {
+    return this.request(
+      "addReference",
+      { id, name, imageData, smoothing, markerMask, detectorSettings },
+      [imageData.data.buffer]
+    );
+  }
+
+  addPrecomputedReference(id, name, features, smoothing, markerMask, detectorSettings) {
+    return this.request(
+      "addPrecomputedReference",
+      { id, name, features, smoothing, markerMask, detectorSettings },
+      getMarkerFeaturesBuffers(features)
+    );
+  }
+
+  removeReference(id) {
+    return this.request("removeReference", { id });
+  }
+
+  configure(settings) {
+    return this.request("configure", { settings });
+  }
+
+  processFrame(imageData) {
+    return this.request("processFrame", { imageData }, [imageData.data.buffer]);
+  }
+
+  terminate() {
+    try {
+      this.worker.terminate();
+      this.rejectAll(new Error("Pipeline terminated"));
+    } catch (error) {
+      logError('WorkerPipelineRunner.terminate', error);
+    }
+  }
+}
+
+// Runs the FeaturePipeline on the calling thread, used where Web Workers are not available
+class InlinePipelineRunner {
+  constructor() {
+    this.pipeline = null;
+  }
+
+  async init(settings) {
+    this.pipeline = new FeaturePipeline(settings);
+    return { ready: true };
+  }
+
+  async addReference(id, name, imageData, smoothing, markerMask, detectorSettings) {
+    return this.pipeline.addReference(id, name, imageData, smoothing, markerMask, detectorSettings);
+  }
+
+  async addPrecomputedReference(id, name, features, smoothing, markerMask, detectorSettings) {
+    return this.pipeline.addPrecomputedReference(
+      id,
+      name,
+      features,
+      smoothing,
+      markerMask,
+      detectorSettings
+    );
+  }
+
+  async removeReference(id) {
+    return this.pipeline.removeReference(id);
+  }
+
+  async configure(settings) {
+    return this.pipeline.configure(settings);
+  }
+
+  async processFrame(imageData) {
+    return this.pipeline.processFrame(imageData);
+  }
+
+  terminate() {
+    try {
+      if (this.pipeline) {
+        this.pipeline.delete();
+        this.pipeline = null;
+      }
+    } catch (error) {
+      logError('InlinePipelineRunner.terminate', error);
+    }
+  }
+}
@@ -0,0 +1,195 @@
+// Trades processing width, the detection threshold of the frames and the number of frames tracked
+// between full detections against each other, so detection keeps up with targetFrameRate and still
+// finds the marker. Decisions are made on smoothed timings with hysteresis, and every change is
+// followed by a settling period, so the width does not oscillate and the frame buffers of the pipeline
+// are rarely recreated.
+
+// Hysteresis: nothing changes between these fractions of targetFrameRate
+const SLOW_FRAME_RATE_FACTOR = 0.9;
+const FAST_FRAME_RATE_FACTOR = 1.3;
+const THRESHOLD_STEP_FACTOR = 1.5;
+const INTERVAL_STEP_FACTOR = 1.5;
+// Longer detection intervals only help while most frames are tracked
+const TRACKING_SHARE_FOR_LONGER_INTERVALS = 0.5;
+const MAX_DECISIONS = 20;
+// Weight of a new sample in the exponential moving averages
+const SMOOTHING_FACTOR = 0.2;
+
+function smoothValue(average, sample) {
+  return average === null ? sample : average + SMOOTHING_FACTOR * (sample - average);
+}
+
+class AdaptiveQualityController {
+  constructor(settings) {
+    try {
+      this.targetFrameRate = settings.targetFrameRate;
+      this.minFrameRate = settings.minFrameRate;
+      this.minWidth = settings.minProcessingCanvasWidth;
+      this.maxWidth = Math.max(settings.maxProcessingCanvasWidth, this.minWidth);
+      this.widthStep = settings.processingCanvasWidthStep;
+      // Factor on the threshold each marker's features were detected with, which is in the unit of
+      // its detector. It only goes up from 1, the pipeline keeps each detector at its own maximum
+      this.maxThresholdFactor = Math.max(settings.maxThresholdFactor, 1);
+      this.baseDetectionInterval = settings.maxTrackedFrames;
+      this.maxDetectionInterval = Math.max(settings.maxDetectionInterval, this.baseDetectionInterval);
+      // Detection frames to wait after a change before the next one
+      this.settlingFrames = settings.qualitySettlingFrames;
+      // Quality at which the overlay is fully opaque, below it more detail is worth its time
+      this.comfortableQuality = settings.qualityIndicatorMax;
+
+      if (settings.initialProcessingCanvasWidth < this.minWidth) {
+        console.warn(
+          `initialProcessingCanvasWidth ${settings.initialProcessingCanvasWidth} is below minProcessingCanvasWidth, starting at ${this.minWidth}`
+        );
+      }
+      this.width = this.clampWidth(settings.initialProcessingCanvasWidth);
+      this.thresholdFactor = 1;
+      this.detectionInterval = this.baseDetectionInterval;
+
+      this.decisions = []; // The last MAX_DECISIONS decisions, for tuning
+      this.reset();
+    } catch (error) {
+      logError('AdaptiveQualityController.constructor', error);
+    }
+  }
+
+  // Forget the timings, e.g. after a pause or a camera switch, the settings are kept
+  reset() {
+    this.lastFrameTime = null;
+    this.detectionFrameTime = null; // Smoothed ms per detection frame
+    this.trackingShare = 0; // Smoothed fraction of the frames that were tracked instead of detected
+    this.quality = null; // Smoothed average quality indicator of the detection frames, 0 without the marker
+    this.framesSinceChange = 0;
+  }
+
+  // Call when a frame is handed to the pipeline, with performance.now() and the result of the previous frame,
+  // whose processing the time since the last call measured
+  // Returns the decision if the settings changed, see decide
+  update(now, result) {
+    try {
+      const elapsed = this.lastFrameTime === null ? null : now - this.lastFrameTime;
+      this.lastFrameTime = now;
+      if (elapsed === null || !result) return null;
+
+      const tracking = result.tracking === true;
+      this.trackingShare = smoothValue(this.trackingShare, tracking ? 1 : 0);
+      // Tracked frames are cheap and say nothing about the cost of a detection.
+      // Decisions are only made on detection frames, where a new width does not end the tracking
+      if (tracking) return null;
+
+      this.detectionFrameTime = smoothValue(this.detectionFrameTime, elapsed);
+      this.quality = smoothValue(
+        this.quality,
+        result.homography ? result.averageQualityIndicator : 0
+      );
+      this.framesSinceChange++;
+      if (this.framesSinceChange < this.settlingFrames) return null;
+
+      return this.decide();
+    } catch (error) {
+      logError('AdaptiveQualityController.update', error);
+      return null;
+    }
+  }
+
+  // Pick the change that costs the least: while the marker is found comfortably, fewer keypoints and
+  // fewer detections go first and the width last, while it is not, the width goes up first.
+  // Returns { reason, frameRate, quality, width, thresholdFactor, detectionInterval, widthChanged,
+  // detectorChanged } or null
+  decide() {
+    const frameRate = 1000 / this.detectionFrameTime;
+    const comfortable = this.quality >= this.comfortableQuality;
+    const previous = {
+      width: this.width,
+      thresholdFactor: this.thresholdFactor,
+      detectionInterval: this.detectionInterval,
+    };
+    let reason = null;
+
+    if (frameRate < this.targetFrameRate * SLOW_FRAME_RATE_FACTOR) {
+      // Below minFrameRate the frames shrink right away, in bigger steps
+      const urgent = frameRate < this.minFrameRate;
+      if (comfortable && !urgent && this.thresholdFactor < this.maxThresholdFactor) {
+        this.thresholdFactor = Math.min(
+          this.thresholdFactor * THRESHOLD_STEP_FACTOR,
+          this.maxThresholdFactor
+        );
+        reason = "slow with quality to spare, detecting fewer keypoints";
+      } else if (
+        this.trackingShare >= TRACKING_SHARE_FOR_LONGER_INTERVALS &&
+        this.detectionInterval < this.maxDetectionInterval
+      ) {
+        this.detectionInterval = Math.min(
+          Math.round(this.detectionInterval * INTERVAL_STEP_FACTOR),
+          this.maxDetectionInterval
+        );
+        reason = "slow while tracking holds, detecting less often";
+      } else if (this.width > this.minWidth) {
+        this.width = this.clampWidth(this.width - this.widthStep * (urgent ? 2 : 1));
+        reason = urgent ? "below minFrameRate, smaller frames" : "slow, smaller frames";
+      } else if (this.thresholdFactor < this.maxThresholdFactor) {
+        this.thresholdFactor = Math.min(
+          this.thresholdFactor * THRESHOLD_STEP_FACTOR,
+          this.maxThresholdFactor
+        );
+        reason = "slow at the smallest width, detecting fewer keypoints";
+      }
+    } else if (frameRate > this.targetFrameRate * FAST_FRAME_RATE_FACTOR) {
+      if (!comfortable && this.width < this.maxWidth) {
+        this.width = this.clampWidth(this.width + this.widthStep);
+        reason = "time to spare and a weak detection, larger frames";
+      } else if (this.thresholdFactor > 1) {
+        this.thresholdFactor = Math.max(this.thresholdFactor / THRESHOLD_STEP_FACTOR, 1);
+        reason = "time to spare, detecting more keypoints";
+      } else if (this.detectionInterval > this.baseDetectionInterval) {
+        this.detectionInterval = Math.max(
+          Math.round(this.detectionInterval / INTERVAL_STEP_FACTOR),
+          this.baseDetectionInterval
+        );
+        reason = "time to spare, detecting more often";
+      } else if (this.width < this.maxWidth) {
+        this.width = this.clampWidth(this.width + this.widthStep);
+        reason = "time to spare, larger frames";
+      }
+    }
+    if (!reason) return null;
+
+    const decision = {
+      reason: reason,
+      frameRate: frameRate,
+      quality: this.quality,
+      width: this.width,
+      thresholdFactor: this.thresholdFactor,
+      detectionInterval: this.detectionInterval,
+      widthChanged: this.width !== previous.width,
+      detectorChanged:
+        this.thresholdFactor !== previous.thresholdFactor ||
+        this.detectionInterval !== previous.detectionInterval,
+    };
+    this.decisions.push(decision);
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.shift();
+    }
+    // The timings of the old settings do not apply any more
+    this.detectionFrameTime = null;
+    this.framesSinceChange = 0;
+    return decision;
+  }
+
+  clampWidth(width) {
+    return Math.round(Math.min(Math.max(width, this.minWidth), this.maxWidth));
+  }
+
+  // Current settings and smoothed measurements, with the recent decisions
+  getDiagnostics() {
+    return {
+      width: this.width,
+      thresholdFactor: this.thresholdFactor,
+      detectionInterval: this.detectionInterval,
+      detectionFrameRate: this.detectionFrameTime ? 1000 / this.detectionFrameTime : null,
+      trackingShare: this.trackingShare,
+      quality: this.quality,
+      decisions: this.decisions.slice(),
+    };
+  }
+}
@@ -0,0 +1,248 @@
+// On-device tuning of an ARFeatureMatcher (?tune): a slider per tuning value that changes it while the
+// camera runs, and an export of the values as the "tuning" block of the artwork's config.json.
+// The matcher checks every change against the config.json schema, see ARFeatureMatcher.updateTuning.
+// With several artworks a select picks the one whose detector settings are tuned and exported, the
+// other values apply to the whole page.
+
+// Slider ranges, narrower than the schema allows so a phone screen can hit useful values.
+// A value from config.json outside the range widens it. The thresholds take the range of the
+// selected detector, see FeatureDetectors.js
+const TUNING_CONTROLS = [
+  { key: "featureDetector" }, // One of FEATURE_DETECTORS
+  { key: "featureDetectionSensitivity", detectorThreshold: true },
+  { key: "maxFeatureDetectionSensitivity", detectorThreshold: true },
+  { key: "referenceScales" }, // Comma separated list
+  { key: "matchDistanceThreshold", min: 0.5, max: 0.95, step: 0.01 },
+  { key: "displayingThresholdQuality", min: 0, max: 0.3, step: 0.005 },
+  { key: "qualityIndicatorFadeRange", min: 0.001, max: 0.1, step: 0.001 },
+  { key: "nFramesForAveraging", min: 1, max: 30, step: 1 },
+  { key: "targetFrameRate", min: 1, max: 30, step: 1 },
+  { key: "minFrameRate", min: 1, max: 30, step: 1 },
+  { key: "initialProcessingCanvasWidth", min: 100, max: 1280, step: 10 },
+  { key: "minProcessingCanvasWidth", min: 100, max: 1280, step: 10 },
+  { key: "maxProcessingCanvasWidth", min: 100, max: 1280, step: 10 },
+  { key: "processingCanvasWidthStep", min: 5, max: 200, step: 5 },
+  { key: "qualitySettlingFrames", min: 1, max: 60, step: 1 },
+  { key: "desiredZoomFactor", min: 1, max: 5, step: 0.1 },
+  { key: "trackingEnabled" }, // Checkbox
+  { key: "minTrackedPoints", min: 4, max: 100, step: 1 },
+  { key: "maxTrackingReprojectionError", min: 0.5, max: 10, step: 0.5 },
+  { key: "maxTrackedFrames", min: 1, max: 300, step: 1 },
+  { key: "maxDetectionInterval", min: 1, max: 600, step: 1 },
+  { key: "minInlierCount", min: 4, max: 100, step: 1 },
+  { key: "minInlierRatio", min: 0, max: 1, step: 0.05 },
+  { key: "minMarkerAreaRatio", min: 0, max: 0.2, step: 0.001 },
+  { key: "maxMarkerAreaRatio", min: 0.5, max: 10, step: 0.5 },
+  { key: "maxAspectRatioDistortion", min: 1, max: 10, step: 0.5 },
+  { key: "searchMaskEnabled" }, // Checkbox
+];
+
+// Values that make the matcher detect the reference features again, which takes a moment
+const TUNING_DETECTOR_KEYS = ["featureDetector", "featureDetectionSensitivity", "referenceScales"];
+
+// The tuning as it is written in config.json, arrays on one line
+function formatTuningSnippet(tuning) {
+  const lines = Object.entries(tuning).map(([key, value]) => {
+    const json = Array.isArray(value) ? `[${value.join(", ")}]` : JSON.stringify(value);
+    return `  ${JSON.stringify(key)}: ${json}`;
+  });
+  return `"tuning": {\n${lines.join(",\n")}\n}`;
+}
+
+// "1.5, 1, 0.6" -> [1.5, 1, 0.6], anything that is not a number is left for the schema check to report
+function parseTuningList(text) {
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "")
+    .map((item) => (isNaN(Number(item)) ? item : Number(item)));
+}
+
+class TuningPanel {
+  // container is an empty element the panel is built in, matcher the ARFeatureMatcher it tunes
+  constructor(container, matcher) {
+    try {
+      this.container = container;
+      this.matcher = matcher;
+      // Artwork whose detector settings the controls show, see DETECTOR_SETTING_KEYS
+      this.artworkName = matcher.artworkConfigs[0].artworkName;
+      // What Reset goes back to, by artwork name
+      this.initialTunings = new Map(
+        matcher.artworkConfigs.map((artworkConfig) => [
+          artworkConfig.artworkName,
+          matcher.getTuning(artworkConfig.artworkName),
+        ])
+      );
+      this.initialTuning = this.initialTunings.get(this.artworkName); // Builds the controls
+      this.inputs = new Map(); // Tuning key -> { control, input, output }
+      // Changes are applied one after the other, a detector rebuild must finish before the next one
+      this.pendingUpdate = Promise.resolve();
+      this.build();
+      this.showValues(this.initialTuning);
+    } catch (error) {
+      logError('TuningPanel.constructor', error);
+    }
+  }
+
+  build() {
+    this.container.classList.add("tuning-panel");
+    this.container.replaceChildren();
+
+    const title = document.createElement("h2");
+    title.textContent = "Tuning";
+    this.statusText = document.createElement("p");
+    this.statusText.className = "tuning-status";
+    const list = document.createElement("div");
+    list.className = "tuning-controls";
+    if (this.initialTunings.size > 1) {
+      list.appendChild(this.buildArtworkSelect());
+    }
+    TUNING_CONTROLS.forEach((control) => list.appendChild(this.buildControl(control)));
+
+    const exportButton = document.createElement("button");
+    exportButton.type = "button";
+    exportButton.textContent = "Export";
+    exportButton.addEventListener("click", () => this.exportTuning());
+    const resetButton = document.createElement("button");
+    resetButton.type = "button";
+    resetButton.textContent = "Reset";
+    resetButton.addEventListener("click", () =>
+      this.update(this.initialTunings.get(this.artworkName))
+    );
+    const buttons = document.createElement("div");
+    buttons.className = "tuning-buttons";
+    buttons.append(exportButton, resetButton);
+
+    this.exportText = document.createElement("textarea");
+    this.exportText.className = "tuning-export";
+    this.exportText.readOnly = true;
+    this.exportText.hidden = true;
+
+    this.container.append(title, this.statusText, list, buttons, this.exportText);
+  }
+
+  buildArtworkSelect() {
+    const row = document.createElement("label");
+    row.className = "tuning-control";
+    const name = document.createElement("span");
+    name.textContent = "artwork";
+    const select = document.createElement("select");
+    for (const artworkConfig of this.matcher.artworkConfigs) {
+      select.add(new Option(artworkConfig.name, artworkConfig.artworkName));
+    }
+    select.value = this.artworkName;
+    // Waits for the changes of the previous artwork, they were made for it
+    select.addEventListener("change", () => {
+      this.pendingUpdate = this.pendingUpdate.then(() => {
+        this.artworkName = select.value;
+        this.showValues(this.matcher.getTuning(this.artworkName));
+        this.showExport();
+      });
+    });
+    row.append(name, select);
+    return row;
+  }
+
+  buildControl(control) {
+    const value = this.initialTuning[control.key];
+    const row = document.createElement("label");
+    row.className = "tuning-control";
+    const name = document.createElement("span");
+    name.textContent = control.key;
+    const output = document.createElement("output");
+    let input = document.createElement("input");
+
+    if (control.key === "featureDetector") {
+      input = document.createElement("select");
+      for (const type of Object.keys(FEATURE_DETECTORS)) {
+        input.add(new Option(type, type));
+      }
+      // The thresholds start from the usual ones of the new detector, see resolveDetectorSettings
+      input.addEventListener("change", () => this.update({ [control.key]: input.value }));
+    } else if (typeof value === "boolean") {
+      input.type = "checkbox";
+      input.addEventListener("change", () => this.update({ [control.key]: input.checked }));
+    } else if (Array.isArray(value)) {
+      input.type = "text";
+      input.addEventListener("change", () =>
+        this.update({ [control.key]: parseTuningList(input.value) })
+      );
+    } else {
+      input.type = "range";
+      // The value follows the slider, the matcher only gets it once the slider is let go
+      input.addEventListener("input", () => {
+        output.textContent = input.value;
+      });
+      input.addEventListener("change", () => this.update({ [control.key]: Number(input.value) }));
+    }
+
+    row.append(name, output, input);
+    this.inputs.set(control.key, { control: control, input: input, output: output });
+    return row;
+  }
+
+  showValues(tuning) {
+    for (const [key, { control, input, output }] of this.inputs) {
+      const value = tuning[key];
+      if (input.type === "checkbox") {
+        input.checked = value;
+      } else if (input.type === "range") {
+        const range = control.detectorThreshold
+          ? FEATURE_DETECTORS[tuning.featureDetector].thresholdRange
+          : control;
+        // The range first, a value outside the old one would be clamped
+        input.min = Math.min(range.min, value);
+        input.max = Math.max(range.max, value);
+        input.step = range.step;
+        input.value = value;
+        output.textContent = value;
+      } else if (Array.isArray(value)) {
+        input.value = value.join(", ");
+      } else {
+        input.value = value;
+      }
+    }
+  }
+
+  // Hand changes to the matcher, the controls show what it accepted
+  update(changes) {
+    this.pendingUpdate = this.pendingUpdate.then(async () => {
+      const redetecting = TUNING_DETECTOR_KEYS.some((key) => key in changes);
+      this.statusText.textContent = redetecting ? "Detecting the reference features again..." : "";
+      try {
+        this.showValues(await this.matcher.updateTuning(changes, this.artworkName));
+        this.statusText.textContent = "";
+      } catch (error) {
+        // The matcher has logged it, the controls go back to the values in effect
+        this.statusText.textContent = error.message;
+        this.showValues(this.matcher.getTuning(this.artworkName));
+      }
+      this.showExport();
+    });
+    return this.pendingUpdate;
+  }
+
+  // Keep a shown export up to date
+  showExport() {
+    if (!this.exportText.hidden) {
+      this.exportText.value = formatTuningSnippet(this.matcher.getTuning(this.artworkName));
+    }
+  }
+
+  // Show the snippet for config.json and copy it where the clipboard is available
+  async exportTuning() {
+    try {
+      const snippet = formatTuningSnippet(this.matcher.getTuning(this.artworkName));
+      this.exportText.value = snippet;
+      this.exportText.hidden = false;
+      this.exportText.select();
+      if (navigator.clipboard) {
+        await navigator.clipboard.writeText(snippet);
+        this.statusText.textContent = "Copied to the clipboard";
+      }
+    } catch (error) {
+      // Without clipboard permission the selected snippet can still be copied by hand
+      console.warn("The tuning could not be copied:", error);
+    }
+  }
+}
@@ -0,0 +1,531 @@
+#!/usr/bin/env node
+// Scores candidate marker images before an artwork goes to print, with the feature detector and
+// matcher settings of the page. For every image it reports:
+//   - the keypoint count and how evenly the keypoints cover the marker
+//   - repeated texture: keypoints that look so much like another part of the marker that the
+//     ratio test of FeaturePipeline will throw their matches away
+//   - robustness: the marker is rendered into simulated camera frames (smaller, rotated, blurred,
+//     seen at an angle) and has to be found by FeaturePipeline in each of them
+// and writes <image>.heatmap.png (green where robust keypoints are, red where the marker has
+// nothing to hold on to, magenta circles for repeated keypoints) and <image>.report.json.
+//
+// Usage:
+//   node tools/analyze-marker.js [--artwork <name>] [--frame-width <px>] [--out <folder>] <image>...
+//
+// Options:
+//   --artwork <name>        config.json whose tuning is used, default the first artwork of artworks.json
+//   --frame-width <px>      Width of the simulated frames, default 400. The page processes between
+//                           tuning.minProcessingCanvasWidth (slow phones) and the camera width
+//   --out <folder>          Where the heatmaps and reports go, default next to each image
+//
+// Exits with 1 if any image fails. See headless.js for what needs to be installed.
+
+const fs = require("fs");
+const path = require("path");
+const headless = require("./headless");
+
+// Limits of the pass/fail report, failures make an image unusable, warnings are worth a second look
+const LIMITS = {
+  minKeypoints: 80,
+  warnKeypoints: 150,
+  // Share of the cells of a GRID_SIZE x GRID_SIZE grid over the marker with at least two keypoints
+  minCoverage: 0.4,
+  warnCoverage: 0.6,
+  warnRepeatedShare: 0.15,
+  // Share of the simulated frames the marker has to be found in
+  minRobustness: 0.7,
+  warnRobustness: 0.9,
+};
+const GRID_SIZE = 4;
+const DEFAULT_FRAME_WIDTH = 400;
+
+// Simulated camera views. fit is the marker size relative to the largest size that fits the frame,
+// angles are in degrees, tilt turns the marker away around its horizontal axis and pan around its vertical one
+const SIMULATIONS = [
+  { name: "frontal", fit: 0.8 },
+  { name: "half size", fit: 0.5 },
+  { name: "far away", fit: 0.3 },
+  { name: "rotated 20°", fit: 0.7, rotation: 20 },
+  { name: "rotated 45°", fit: 0.7, rotation: 45 },
+  { name: "rotated 90°", fit: 0.7, rotation: 90 },
+  { name: "slight blur", fit: 0.7, blur: 1 },
+  { name: "strong blur", fit: 0.7, blur: 2 },
+  { name: "tilted 30°", fit: 0.7, tilt: 30 },
+  { name: "tilted 50°", fit: 0.7, tilt: 50 },
+  { name: "panned 40°", fit: 0.7, pan: 40 },
+  { name: "combined", fit: 0.5, rotation: 15, tilt: 30, blur: 1 },
+];
+
+// A match is correct if the matched frame keypoint is this close to where the marker keypoint ends up
+const MATCH_TOLERANCE = 3;
+// The marker counts as found if its corners are off by less than this share of its diagonal in the frame
+const MAX_CORNER_ERROR = 0.04;
+
+function parseArguments(argv) {
+  const options = { artwork: null, frameWidth: null, out: null, images: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === "--artwork") {
+      options.artwork = argv[++i];
+    } else if (argument === "--frame-width") {
+      options.frameWidth = parseInt(argv[++i], 10);
+    } else if (argument === "--out") {
+      options.out = argv[++i];
+    } else if (argument.startsWith("--")) {
+      throw new Error(`Unknown option ${argument}`);
+    } else {
+      options.images.push(argument);
+    }
+  }
+  if (options.images.length === 0) {
+    throw new Error(
+      "Usage: node tools/analyze-marker.js [--artwork <name>] [--frame-width <px>] [--out <folder>] <image>..."
+    );
+  }
+  return options;
+}
+
+// Marker corners [x0, y0, ..., x3, y3] of a simulated view, in a frameWidth x frameHeight frame
+function simulateCorners(simulation, markerWidth, markerHeight, frameWidth, frameHeight) {
+  const scale =
+    simulation.fit * Math.min(frameWidth / markerWidth, frameHeight / markerHeight);
+  const rotation = ((simulation.rotation || 0) * Math.PI) / 180;
+  const tilt = ((simulation.tilt || 0) * Math.PI) / 180;
+  const pan = ((simulation.pan || 0) * Math.PI) / 180;
+  // Pinhole camera with a focal length of about a phone's wide angle camera
+  const focalLength = Math.max(frameWidth, frameHeight);
+
+  const corners = [];
+  for (const [u, v] of [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]]) {
+    let x = u * markerWidth * scale;
+    let y = v * markerHeight * scale;
+    let z = 0;
+    // Turn the marker in 3D, then rotate it in the image plane
+    [y, z] = [y * Math.cos(tilt), y * Math.sin(tilt)];
+    [x, z] = [x * Math.cos(pan), z + x * Math.sin(pan)];
+    [x, y] = [
+      x * Math.cos(rotation) - y * Math.sin(rotation),
+      x * Math.sin(rotation) + y * Math.cos(rotation),
+    ];
+    const depth = focalLength / (focalLength + z);
+    corners.push(frameWidth / 2 + x * depth, frameHeight / 2 + y * depth);
+  }
+  return corners;
+}
+
+// Row-major homography mapping the marker corners onto the given corners
+function getHomography(markerWidth, markerHeight, corners) {
+  const source = cv.matFromArray(4, 1, cv.CV_32FC2, [
+    0, 0, markerWidth, 0, markerWidth, markerHeight, 0, markerHeight,
+  ]);
+  const destination = cv.matFromArray(4, 1, cv.CV_32FC2, corners);
+  const homography = cv.getPerspectiveTransform(source, destination);
+  const values = Array.from(homography.data64F);
+  source.delete();
+  destination.delete();
+  homography.delete();
+  return values;
+}
+
+function projectPoint(homography, x, y) {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const w = g * x + h * y + i;
+  return [(a * x + b * y + c) / w, (d * x + e * y + f) / w];
+}
+
+// Render the marker into a camera frame as RGBA pixels ({ width, height, data })
+function renderFrame(markerMat, simulation, corners, frameWidth, frameHeight) {
+  // A plain, slightly noisy wall around the marker, the same for every run
+  const frame = new cv.Mat(frameHeight, frameWidth, cv.CV_8UC4);
+  let seed = 1;
+  for (let k = 0; k < frame.data.length; k += 4) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    const value = 150 + (seed % 21) - 10;
+    frame.data[k] = value;
+    frame.data[k + 1] = value;
+    frame.data[k + 2] = value;
+    frame.data[k + 3] = 255;
+  }
+
+  // Shrink large markers with area averaging first, like a camera does, so the warp does not alias
+  const frameDiagonal = Math.hypot(corners[4] - corners[0], corners[5] - corners[1]);
+  const shrink = Math.min(1, (1.5 * frameDiagonal) / Math.hypot(markerMat.cols, markerMat.rows));
+  const source = new cv.Mat();
+  cv.resize(
+    markerMat,
+    source,
+    new cv.Size(Math.round(markerMat.cols * shrink), Math.round(markerMat.rows * shrink)),
+    0,
+    0,
+    cv.INTER_AREA
+  );
+  const homography = cv.matFromArray(
+    3,
+    3,
+    cv.CV_64F,
+    getHomography(source.cols, source.rows, corners)
+  );
+  cv.warpPerspective(
+    source,
+    frame,
+    homography,
+    new cv.Size(frameWidth, frameHeight),
+    cv.INTER_LINEAR,
+    cv.BORDER_TRANSPARENT
+  );
+  if (simulation.blur) {
+    cv.GaussianBlur(frame, frame, new cv.Size(0, 0), simulation.blur);
+  }
+  const imageData = {
+    width: frameWidth,
+    height: frameHeight,
+    data: new Uint8ClampedArray(frame.data),
+  };
+  source.delete();
+  homography.delete();
+  frame.delete();
+  return imageData;
+}
+
+// Run one simulated view through a fresh FeaturePipeline
+// Returns whether the marker was found and which marker keypoints were matched correctly
+function runSimulation(context, simulation) {
+  const { settings, features, markerMat, frameWidth, frameHeight } = context;
+  const FeaturePipeline = headless.getGlobal("FeaturePipeline");
+  const projectMarkerCorners = headless.getGlobal("projectMarkerCorners");
+  const parseMarkerFeatures = headless.getGlobal("parseMarkerFeatures");
+
+  const corners = simulateCorners(simulation, markerMat.cols, markerMat.rows, frameWidth, frameHeight);
+  const truth = getHomography(markerMat.cols, markerMat.rows, corners);
+  const imageData = renderFrame(markerMat, simulation, corners, frameWidth, frameHeight);
+
+  const pipeline = new FeaturePipeline(settings);
+  try {
+    // Parsed again for every run, the pipeline takes the arrays over
+    pipeline.addPrecomputedReference("marker", "marker", parseMarkerFeatures(features));
+    const result = pipeline.processFrame(imageData);
+
+    const correctMatches = [];
+    const frameData = pipeline.frameData;
+    if (frameData.marker) {
+      const { scale, keypoints } = frameData.level;
+      const levelIndex = frameData.marker.levels.indexOf(frameData.level);
+      for (const match of frameData.goodMatches) {
+        const markerPoint = keypoints.get(match.trainIdx).pt;
+        const framePoint = frameData.detection.keypoints.get(match.queryIdx).pt;
+        const [x, y] = projectPoint(truth, markerPoint.x / scale, markerPoint.y / scale);
+        if (Math.hypot(x - framePoint.x, y - framePoint.y) <= MATCH_TOLERANCE) {
+          correctMatches.push({
+            keypointIndex: context.levelOffsets[levelIndex] + match.trainIdx,
+            distance: match.distance,
+          });
+        }
+      }
+    }
+
+    let cornerError = null;
+    if (result.homography) {
+      const found = projectMarkerCorners(result.homography, markerMat.cols, markerMat.rows);
+      cornerError = 0;
+      for (let k = 0; k < 8; k += 2) {
+        cornerError += Math.hypot(found[k] - corners[k], found[k + 1] - corners[k + 1]) / 4;
+      }
+    }
+    const diagonal = Math.hypot(corners[4] - corners[0], corners[5] - corners[1]);
+    return {
+      name: simulation.name,
+      found: cornerError !== null && cornerError <= MAX_CORNER_ERROR * diagonal,
+      goodMatchCount: result.goodMatchCount,
+      referenceScale: result.referenceScale,
+      correctMatchCount: correctMatches.length,
+      cornerError: cornerError === null ? null : Math.round(cornerError * 10) / 10,
+      correctMatches: correctMatches,
+    };
+  } finally {
+    pipeline.delete();
+  }
+}
+
+// Share of the grid cells over the marker holding at least two keypoints
+function calculateCoverage(keypoints, width, height) {
+  const counts = new Array(GRID_SIZE * GRID_SIZE).fill(0);
+  for (const { x, y } of keypoints) {
+    const column = Math.min(GRID_SIZE - 1, Math.floor((x / width) * GRID_SIZE));
+    const row = Math.min(GRID_SIZE - 1, Math.floor((y / height) * GRID_SIZE));
+    counts[row * GRID_SIZE + column]++;
+  }
+  return {
+    coverage: counts.filter((count) => count >= 2).length / counts.length,
+    cells: counts,
+  };
+}
+
+// Keypoints whose descriptor is so close to one elsewhere on the marker that a frame keypoint at the
+// typical distance of a correct match (matchDistance) fails the ratio test: best > ratio * second best.
+// Matches are made per reference level, so only keypoints of the same level are compared
+// Returns the indices into context.keypoints
+function findRepeatedKeypoints(context, matchDistance) {
+  const { marker, matcher, settings, keypoints, levelOffsets } = context;
+  const repeated = new Set();
+  marker.levels.forEach((level, levelIndex) => {
+    const count = level.keypoints.size();
+    if (count < 2) return;
+    // Neighbouring keypoints often describe the same spot, only look further away than this
+    const minSeparation = 0.05 * Math.hypot(marker.width, marker.height);
+    const neighbours = new cv.DMatchVectorVector();
+    matcher.knnMatch(level.descriptors, level.descriptors, neighbours, Math.min(8, count));
+
+    const offset = levelOffsets[levelIndex];
+    for (let i = 0; i < neighbours.size(); i++) {
+      const matches = neighbours.get(i);
+      const keypoint = keypoints[offset + i];
+      for (let k = 0; k < matches.size(); k++) {
+        const match = matches.get(k);
+        const other = keypoints[offset + match.trainIdx];
+        if (Math.hypot(other.x - keypoint.x, other.y - keypoint.y) < minSeparation) {
+          continue;
+        }
+        if (match.distance * settings.matchDistanceThreshold < matchDistance) {
+          repeated.add(offset + i);
+        }
+        break;
+      }
+    }
+    neighbours.delete();
+  });
+  return repeated;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Heatmap over a grey copy of the marker: green where robust keypoints are, red where there are none
+function renderHeatmap(markerMat, keypoints, survival, repeated) {
+  const width = markerMat.cols;
+  const height = markerMat.rows;
+  const density = cv.Mat.zeros(height, width, cv.CV_32F);
+  keypoints.forEach(({ x, y }, index) => {
+    const column = Math.min(width - 1, Math.round(x));
+    const row = Math.min(height - 1, Math.round(y));
+    density.data32F[row * width + column] += 0.25 + survival[index];
+  });
+  cv.GaussianBlur(density, density, new cv.Size(0, 0), 0.025 * Math.hypot(width, height));
+  // Full green from the densest few percent of the marker on, so a single strong spot does not wash out the rest
+  const sorted = Float32Array.from(density.data32F).sort();
+  const level = sorted[Math.floor(sorted.length * 0.95)] || 1;
+
+  const gray = new cv.Mat();
+  cv.cvtColor(markerMat, gray, cv.COLOR_RGBA2GRAY);
+  const heatmap = new cv.Mat(height, width, cv.CV_8UC4);
+  for (let p = 0; p < width * height; p++) {
+    const heat = Math.min(1, density.data32F[p] / level);
+    const shade = gray.data[p] * 0.55;
+    heatmap.data[p * 4] = shade + 115 * (1 - heat);
+    heatmap.data[p * 4 + 1] = shade + 115 * heat;
+    heatmap.data[p * 4 + 2] = shade;
+    heatmap.data[p * 4 + 3] = 255;
+  }
+  const radius = Math.max(2, Math.round(0.008 * Math.hypot(width, height)));
+  keypoints.forEach(({ x, y }, index) => {
+    const color = repeated.has(index)
+      ? new cv.Scalar(255, 0, 255, 255)
+      : new cv.Scalar(255, 255, 255, 255);
+    cv.circle(heatmap, new cv.Point(x, y), radius, color, 1);
+  });
+  density.delete();
+  gray.delete();
+  return heatmap;
+}
+
+function writePng(mat, filePath) {
+  const { createCanvas } = headless.requireCanvas();
+  const canvas = createCanvas(mat.cols, mat.rows);
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(mat.cols, mat.rows);
+  imageData.data.set(mat.data);
+  context.putImageData(imageData, 0, 0);
+  fs.writeFileSync(filePath, canvas.toBuffer("image/png"));
+}
+
+async function analyzeMarker(imagePath, settings, options) {
+  const FeaturePipeline = headless.getGlobal("FeaturePipeline");
+  const serializeMarkerFeatures = headless.getGlobal("serializeMarkerFeatures");
+
+  // Detect the features once, like the page does with the marker image as it is
+  const referenceImageData = await headless.loadImageData(imagePath);
+  const referencePipeline = new FeaturePipeline(settings);
+  const markerMat = cv.matFromImageData(referenceImageData);
+  try {
+    referencePipeline.addReference("marker", "marker", referenceImageData);
+    const [marker] = referencePipeline.markerRegistry.markers;
+    // The keypoints of every reference level in the pixels of the marker image
+    const keypoints = [];
+    const levelOffsets = [];
+    for (const level of marker.levels) {
+      levelOffsets.push(keypoints.length);
+      for (let i = 0; i < level.keypoints.size(); i++) {
+        const { x, y } = level.keypoints.get(i).pt;
+        keypoints.push({ x: x / level.scale, y: y / level.scale });
+      }
+    }
+    // Count and coverage are judged on the level with the most keypoints, usually the marker as it is
+    const mainLevelIndex = marker.levels.reduce(
+      (best, level, index) =>
+        level.keypoints.size() > marker.levels[best].keypoints.size() ? index : best,
+      0
+    );
+    const mainLevelKeypoints = keypoints.slice(
+      levelOffsets[mainLevelIndex],
+      levelOffsets[mainLevelIndex] + marker.levels[mainLevelIndex].keypoints.size()
+    );
+
+    const frameWidth = options.frameWidth || DEFAULT_FRAME_WIDTH;
+    const context = {
+      settings: settings,
+      marker: marker,
+      matcher: marker.detector.matcher,
+      keypoints: keypoints,
+      levelOffsets: levelOffsets,
+      markerMat: markerMat,
+      features: serializeMarkerFeatures(marker, referencePipeline.describeDetector(), path.basename(imagePath)),
+      frameWidth: frameWidth,
+      // Phones are held upright
+      frameHeight: Math.round((frameWidth * 4) / 3),
+    };
+
+    const simulations = keypoints.length > 0 ? SIMULATIONS.map((simulation) => runSimulation(context, simulation)) : [];
+    const survival = new Array(keypoints.length).fill(0);
+    const matchDistances = [];
+    for (const simulation of simulations) {
+      for (const { keypointIndex, distance } of simulation.correctMatches) {
+        survival[keypointIndex] += 1 / simulations.length;
+        matchDistances.push(distance);
+      }
+      delete simulation.correctMatches;
+    }
+    const matchDistance = median(matchDistances);
+    const repeated = matchDistance !== null
+      ? findRepeatedKeypoints(context, matchDistance)
+      : new Set();
+
+    const keypointCount = mainLevelKeypoints.length;
+    const { coverage, cells } = calculateCoverage(mainLevelKeypoints, marker.width, marker.height);
+    const robustness = simulations.length > 0
+      ? simulations.filter((simulation) => simulation.found).length / simulations.length
+      : 0;
+    const repeatedShare = keypoints.length > 0 ? repeated.size / keypoints.length : 0;
+
+    const failures = [];
+    const warnings = [];
+    if (keypointCount < LIMITS.minKeypoints) {
+      failures.push(`only ${keypointCount} keypoints, at least ${LIMITS.minKeypoints} are needed`);
+    } else if (keypointCount < LIMITS.warnKeypoints) {
+      warnings.push(`${keypointCount} keypoints, more than ${LIMITS.warnKeypoints} make detection more reliable`);
+    }
+    if (coverage < LIMITS.minCoverage) {
+      failures.push(`keypoints cover ${percent(coverage)} of the marker, at least ${percent(LIMITS.minCoverage)} are needed`);
+    } else if (coverage < LIMITS.warnCoverage) {
+      warnings.push(`keypoints cover ${percent(coverage)} of the marker, flat areas (red in the heatmap) cannot be tracked`);
+    }
+    if (repeatedShare > LIMITS.warnRepeatedShare) {
+      warnings.push(`${percent(repeatedShare)} of the keypoints repeat elsewhere on the marker (magenta in the heatmap), repetitive texture gets ambiguous matches`);
+    }
+    if (simulations.length > 0 && !simulations[0].found) {
+      failures.push("not found even in a frontal view");
+    }
+    if (robustness < LIMITS.minRobustness) {
+      failures.push(`found in ${percent(robustness)} of the simulated views, at least ${percent(LIMITS.minRobustness)} are needed`);
+    } else if (robustness < LIMITS.warnRobustness) {
+      warnings.push(`found in ${percent(robustness)} of the simulated views`);
+    }
+
+    const outputBase = path.join(
+      options.out || path.dirname(imagePath),
+      path.basename(imagePath, path.extname(imagePath))
+    );
+    const heatmap = renderHeatmap(markerMat, keypoints, survival, repeated);
+    writePng(heatmap, `${outputBase}.heatmap.png`);
+    heatmap.delete();
+
+    const report = {
+      image: imagePath,
+      passed: failures.length === 0,
+      failures: failures,
+      warnings: warnings,
+      width: marker.width,
+      height: marker.height,
+      detector: referencePipeline.describeDetector(),
+      frameWidth: context.frameWidth,
+      frameHeight: context.frameHeight,
+      keypointCount: keypointCount,
+      levels: marker.levels.map((level) => ({
+        scale: level.scale,
+        keypointCount: level.keypoints.size(),
+      })),
+      coverage: coverage,
+      keypointsPerCell: cells,
+      repeatedKeypointCount: repeated.size,
+      robustness: robustness,
+      simulations: simulations,
+    };
+    fs.writeFileSync(`${outputBase}.report.json`, JSON.stringify(report, null, 2) + "\n");
+    return { report, outputBase };
+  } finally {
+    markerMat.delete();
+    referencePipeline.delete();
+  }
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function printReport({ report, outputBase }) {
+  console.log(`${report.image}: ${report.passed ? "PASS" : "FAIL"}`);
+  console.log(`  ${report.width}x${report.height}, ${report.keypointCount} keypoints, ${percent(report.coverage)} covered, ${report.repeatedKeypointCount} repeated`);
+  console.log(`  keypoints per reference scale: ${report.levels.map((level) => `${level.keypointCount} at ${level.scale}`).join(", ")}`);
+  for (const simulation of report.simulations) {
+    const outcome = simulation.found
+      ? `found at scale ${simulation.referenceScale}, corners ${simulation.cornerError}px off`
+      : simulation.cornerError === null ? "missed" : `wrong pose, corners ${simulation.cornerError}px off`;
+    console.log(`  ${simulation.name.padEnd(12)} ${String(simulation.correctMatchCount).padStart(4)} correct matches, ${outcome}`);
+  }
+  for (const failure of report.failures) console.log(`  FAIL ${failure}`);
+  for (const warning of report.warnings) console.log(`  WARN ${warning}`);
+  console.log(`  ${outputBase}.heatmap.png, ${outputBase}.report.json`);
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const artworkName = options.artwork ||
+    JSON.parse(fs.readFileSync(path.join(headless.REPOSITORY_ROOT, "artworks.json"), "utf8")).artworks[0];
+
+  await headless.loadOpenCV();
+  headless.loadPipelineScripts();
+  const settings = {
+    ...headless.getPipelineSettings(headless.loadArtworkConfig(artworkName)),
+    // Every simulated view is a single frame, which is always a full detection
+    trackingEnabled: false,
+  };
+  if (options.out) {
+    fs.mkdirSync(options.out, { recursive: true });
+  }
+
+  let failedCount = 0;
+  for (const imagePath of options.images) {
+    const result = await analyzeMarker(imagePath, settings, options);
+    printReport(result);
+    if (!result.report.passed) failedCount++;
+  }
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
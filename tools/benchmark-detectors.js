@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// Compares the feature detectors of FeatureDetectors.js on the same input frames: how long detection,
+// matching and the homography take, how many keypoints, good matches and RANSAC inliers each detector
+// finds and, with ground truth, how close its marker corners are. Tracking, smoothing and the search
+// mask are turned off and the pipeline is reset before every frame, so every frame is a full detection
+// that does not depend on the frames before it. Every marker is described with the detector settings
+// of its own config.json, like in the page. Prints one JSON line per detector and a table on stderr.
+//
+// Usage:
+//   node tools/benchmark-detectors.js --artwork HolyKingdom[,LethalWeapon] [options] <input>...
+//
+// Inputs are image files, folders of images or video files, like for run-pipeline.js. Every frame
+// is decoded once and kept in memory, so keep videos short.
+//
+// Options:
+//   --detectors <list>         Detectors to compare, default all: AKAZE,ORB,BRISK
+//   --threshold <name>=<value> featureDetectionSensitivity of a detector for every marker, can be repeated.
+//                              Default the one of each artwork's config.json for its detector, the usual
+//                              one for the others
+//   --width <pixels>           Processing width, default tuning.minProcessingCanvasWidth
+//   --truth <file.json>        Ground-truth marker corners in input pixels, see run-pipeline.js
+//
+// See headless.js for what needs to be installed.
+
+const fs = require("fs");
+const path = require("path");
+const headless = require("./headless");
+
+function parseArguments(argv) {
+  const options = {
+    artworks: [],
+    detectors: null,
+    thresholds: {},
+    width: null,
+    truthPath: null,
+    inputs: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === "--artwork") {
+      options.artworks.push(...argv[++i].split(",").map((name) => name.trim()));
+    } else if (argument === "--detectors") {
+      options.detectors = argv[++i].split(",").map((name) => name.trim());
+    } else if (argument === "--threshold") {
+      const [name, value] = argv[++i].split("=");
+      options.thresholds[name.trim()] = parseFloat(value);
+    } else if (argument === "--width") {
+      options.width = parseInt(argv[++i], 10);
+    } else if (argument === "--truth") {
+      options.truthPath = argv[++i];
+    } else if (argument.startsWith("--")) {
+      throw new Error(`Unknown option ${argument}`);
+    } else {
+      options.inputs.push(argument);
+    }
+  }
+  if (options.artworks.length === 0 || options.inputs.length === 0) {
+    throw new Error(
+      "Usage: node tools/benchmark-detectors.js --artwork <name>[,<name>] [--detectors <list>] " +
+        "[--threshold <name>=<value>] [--width <px>] [--truth <file.json>] <image|folder|video>..."
+    );
+  }
+  return options;
+}
+
+// Smoothing settings that pass every pose through unchanged, see ComprehensiveSmoothnessFilter
+const NO_SMOOTHING = { windowSize: 1, alpha: 1, outlierThreshold: Infinity };
+
+function mean(values) {
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value, digits = 1) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// The detector settings of an artwork's marker with the given detector: those of its config.json,
+// whose thresholds are in the unit of its own detector, so another detector starts from its usual ones
+function getDetectorSettings(artworkConfig, detectorType, options) {
+  const resolveDetectorSettings = headless.getGlobal("resolveDetectorSettings");
+  const detectorSettings = resolveDetectorSettings(headless.getPipelineSettings(artworkConfig), {
+    featureDetector: detectorType,
+  });
+  if (options.thresholds[detectorType] !== undefined) {
+    detectorSettings.featureDetectionSensitivity = options.thresholds[detectorType];
+  }
+  const problems = [];
+  headless.getGlobal("validateTuningRules")(detectorSettings, problems);
+  if (problems.length > 0) {
+    throw new Error(`${artworkConfig.artworkName}: ${problems.join("; ")}`);
+  }
+  return detectorSettings;
+}
+
+// Run every frame through a pipeline with the given detector
+// Returns the summary printed for the detector
+async function benchmarkDetector(detectorType, options, context) {
+  const FeaturePipeline = headless.getGlobal("FeaturePipeline");
+  const projectMarkerCorners = headless.getGlobal("projectMarkerCorners");
+  const { artworkConfigs, references, frames, truth, baseSettings } = context;
+
+  const pipeline = new FeaturePipeline({
+    ...baseSettings,
+    trackingEnabled: false,
+    searchMaskEnabled: false,
+    collectDebugData: true, // For the inlier counts
+  });
+  const thresholds = {}; // featureDetectionSensitivity by artwork name
+  const referenceStart = process.hrtime.bigint();
+  let referenceKeypoints = 0;
+  try {
+    artworkConfigs.forEach((artworkConfig, index) => {
+      const detectorSettings = getDetectorSettings(artworkConfig, detectorType, options);
+      thresholds[artworkConfig.artworkName] = detectorSettings.featureDetectionSensitivity;
+      const added = pipeline.addReference(
+        artworkConfig.artworkName,
+        artworkConfig.name,
+        references[index],
+        NO_SMOOTHING,
+        artworkConfig.markerMask,
+        detectorSettings
+      );
+      referenceKeypoints += added.keypointCount;
+    });
+  } catch (error) {
+    pipeline.delete();
+    throw error;
+  }
+  const referenceMs = Number(process.hrtime.bigint() - referenceStart) / 1e6;
+
+  const samples = { detect: [], match: [], homography: [], total: [], keypoints: [], goodMatches: [], inliers: [] };
+  const cornerErrors = [];
+  let foundCount = 0;
+  let missedTruthCount = 0;
+  for (const { label, imageData } of frames) {
+    pipeline.reset();
+    const startTime = process.hrtime.bigint();
+    const result = pipeline.processFrame(imageData);
+    samples.total.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+    samples.detect.push(result.timings.detect);
+    samples.match.push(result.timings.match);
+    samples.homography.push(result.timings.homography);
+    samples.keypoints.push(result.keypointCount);
+    samples.goodMatches.push(result.goodMatchCount);
+    samples.inliers.push(result.debug.inliers.length / 2);
+
+    let corners = null;
+    if (result.homography) {
+      foundCount++;
+      const marker = references[artworkConfigs.findIndex((config) => config.artworkName === result.markerId)];
+      const scale = imageData.sourceWidth / imageData.width;
+      corners = projectMarkerCorners(result.homography, marker.width, marker.height).map(
+        (value) => value * scale
+      );
+    }
+    if (truth[label]) {
+      if (corners) {
+        cornerErrors.push(headless.calculateCornerError(corners, truth[label]));
+      } else {
+        missedTruthCount++;
+      }
+    }
+  }
+  pipeline.delete();
+
+  return {
+    detector: detectorType,
+    thresholds: thresholds,
+    frames: frames.length,
+    found: foundCount,
+    referenceKeypoints: referenceKeypoints,
+    referenceMs: round(referenceMs),
+    detectMs: round(mean(samples.detect)),
+    matchMs: round(mean(samples.match)),
+    homographyMs: round(mean(samples.homography)),
+    totalMs: round(mean(samples.total)),
+    keypoints: round(mean(samples.keypoints)),
+    goodMatches: round(mean(samples.goodMatches)),
+    inliers: round(mean(samples.inliers)),
+    inlierRatio: round(mean(samples.goodMatches) ? mean(samples.inliers) / mean(samples.goodMatches) : null, 2),
+    meanCornerError: round(mean(cornerErrors)),
+    missedTruth: missedTruthCount,
+  };
+}
+
+function printTable(summaries) {
+  const columns = [
+    ["detector", "detector"],
+    ["found", "found"],
+    ["ref kp", "referenceKeypoints"],
+    ["detect ms", "detectMs"],
+    ["match ms", "matchMs"],
+    ["total ms", "totalMs"],
+    ["keypoints", "keypoints"],
+    ["matches", "goodMatches"],
+    ["inliers", "inliers"],
+    ["corner px", "meanCornerError"],
+  ];
+  const rows = [
+    columns.map(([title]) => title),
+    ...summaries.map((summary) =>
+      columns.map(([, key]) =>
+        key === "found" ? `${summary.found}/${summary.frames}` : String(summary[key] === null ? "-" : summary[key])
+      )
+    ),
+  ];
+  const widths = columns.map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+  for (const row of rows) {
+    console.error(row.map((cell, index) => cell.padStart(widths[index])).join("  "));
+  }
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const truth = options.truthPath ? JSON.parse(fs.readFileSync(options.truthPath, "utf8")) : {};
+
+  await headless.loadOpenCV();
+  headless.loadPipelineScripts();
+  const detectorTypes = options.detectors || Object.keys(headless.getGlobal("FEATURE_DETECTORS"));
+
+  // Page-wide tuning like in the page, see ArtworkConfig.getPageTuning
+  const artworkConfigs = options.artworks.map((name) => headless.loadArtworkConfig(name));
+  const baseSettings = Object.assign(
+    headless.getPipelineSettings(artworkConfigs[0]),
+    headless.getGlobal("ArtworkConfig").getPageTuning(artworkConfigs)
+  );
+  const width = options.width || baseSettings.minProcessingCanvasWidth;
+
+  const references = [];
+  for (const artworkConfig of artworkConfigs) {
+    references.push(
+      await headless.loadImageData(path.join(headless.REPOSITORY_ROOT, artworkConfig.markerUrl))
+    );
+  }
+  const frames = [];
+  for await (const frame of headless.readFrames(options.inputs, width)) {
+    frames.push(frame);
+  }
+
+  const context = { artworkConfigs, references, frames, truth, baseSettings };
+  const summaries = [];
+  for (const detectorType of detectorTypes) {
+    const summary = await benchmarkDetector(detectorType, options, context);
+    console.log(JSON.stringify(summary));
+    summaries.push(summary);
+  }
+  printTable(summaries);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
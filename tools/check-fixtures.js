@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// Runs run-pipeline.js on the fixtures with ground truth and exits with 1 if a marker is missed
+// or its corners are further off than the limit of the fixture, e.g. before committing a change
+// to the detection, matching or tuning.
+//
+// Usage:
+//   node tools/check-fixtures.js
+//
+// Fixtures:
+//   tools/fixtures/marker-images.truth.json   The marker images of the repository, whose corners
+//                                             are the image corners
+//   tools/fixtures/frames.truth.json          Camera-like frames in tools/fixtures/frames: the marker
+//                                             perspective-warped onto a cluttered background, blurred,
+//                                             dimmed and saved as JPEG, with the corners it was warped to
+// Both are run with every artwork loaded, so the other markers have to be rejected as well.
+//
+// See headless.js for what needs to be installed.
+
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+const REPOSITORY_ROOT = path.join(__dirname, "..");
+const ARTWORKS = "HolyKingdom,LethalWeapon";
+
+const FIXTURES = [
+  {
+    name: "marker images",
+    truth: "tools/fixtures/marker-images.truth.json",
+    inputs: ["HolyKingdom/MarkerSmall.jpg", "LethalWeapon/Marker Versions"],
+    maxCornerError: 10,
+    options: [],
+  },
+  {
+    // At initialProcessingCanvasWidth, the frames are off by about 2px
+    name: "warped frames",
+    truth: "tools/fixtures/frames.truth.json",
+    inputs: ["tools/fixtures/frames"],
+    maxCornerError: 6,
+    options: ["--width", "320"],
+  },
+];
+
+function checkFixture(fixture) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      path.join(__dirname, "run-pipeline.js"),
+      "--artwork",
+      ARTWORKS,
+      "--truth",
+      fixture.truth,
+      "--max-corner-error",
+      String(fixture.maxCornerError),
+      ...fixture.options,
+      ...fixture.inputs,
+    ],
+    { cwd: REPOSITORY_ROOT, encoding: "utf8" }
+  );
+  if (result.error) throw result.error;
+
+  for (const line of result.stdout.split("\n").filter(Boolean)) {
+    const frame = JSON.parse(line);
+    // Frames without ground truth have no cornerError, e.g. the .png markers of LethalWeapon
+    if (frame.cornerError === undefined) continue;
+    const error = frame.cornerError === null ? "missed" : `${frame.cornerError.toFixed(1)}px`;
+    console.log(`  ${frame.input}: ${frame.markerId || "no marker"}, ${error}`);
+  }
+  if (result.stderr) process.stderr.write(result.stderr);
+  return result.status === 0;
+}
+
+function main() {
+  let failed = 0;
+  for (const fixture of FIXTURES) {
+    console.log(`${fixture.name} (max ${fixture.maxCornerError}px):`);
+    if (!checkFixture(fixture)) failed++;
+  }
+  if (failed > 0) {
+    console.error(`${failed} of ${FIXTURES.length} fixtures failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`All ${FIXTURES.length} fixtures passed`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
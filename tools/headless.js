@@ -0,0 +1,233 @@
+// Runs the browser scripts of the AR pipeline in Node, for the command line tools in this folder.
+// Needs opencv.js (the same build IzzyMotion.html loads, by default from the repository root)
+// and a canvas implementation to decode images: npm install canvas (or @napi-rs/canvas).
+// Videos are decoded with ffmpeg and ffprobe, which have to be on the PATH.
+// The scripts are loaded as they are, with vm, so the classes end up in the global scope like in the page.
+
+const { execFileSync, spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const REPOSITORY_ROOT = path.resolve(__dirname, "..");
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+const VIDEO_EXTENSIONS = [".mp4", ".webm", ".mov", ".m4v"];
+
+// Same contract as the logError of the page and the worker, but on stderr
+function logError(methodName, error) {
+  console.error(`Error in ${methodName}:`, error && error.message ? error.message : error);
+}
+
+// Either of the two common canvas packages works, they share createCanvas and loadImage
+function requireCanvas() {
+  for (const name of ["canvas", "@napi-rs/canvas"]) {
+    try {
+      return require(name);
+    } catch (err) {
+      if (err.code !== "MODULE_NOT_FOUND") throw err;
+    }
+  }
+  throw new Error("No canvas package found, install one with: npm install canvas");
+}
+
+// Load opencv.js and wait for its runtime, then expose it as the global cv the scripts expect
+async function loadOpenCV(openCVPath = process.env.OPENCV_JS || path.join(REPOSITORY_ROOT, "opencv.js")) {
+  if (!fs.existsSync(openCVPath)) {
+    throw new Error(`${openCVPath} not found, pass the path of opencv.js with OPENCV_JS`);
+  }
+  let cv = require(openCVPath);
+  // Some builds export a promise of the module, others the module itself.
+  // The module is thenable as well, but awaiting it never settles.
+  if (cv instanceof Promise) {
+    cv = await cv;
+  }
+  if (!cv.Mat) {
+    await new Promise((resolve) => {
+      cv.onRuntimeInitialized = resolve;
+    });
+  }
+  // Not returned: resolving a promise with the thenable module would never settle either
+  globalThis.cv = cv;
+}
+
+// Run repository scripts in the global scope, in the order given
+function loadScripts(fileNames) {
+  if (!globalThis.logError) {
+    globalThis.logError = logError;
+  }
+  for (const fileName of fileNames) {
+    const filePath = path.join(REPOSITORY_ROOT, fileName);
+    vm.runInThisContext(fs.readFileSync(filePath, "utf8"), { filename: filePath });
+  }
+}
+
+// Global class or function declared by one of the loaded scripts
+function getGlobal(name) {
+  return vm.runInThisContext(name);
+}
+
+// Everything FeaturePipeline needs, in the order of ARWorker.js
+function loadPipelineScripts() {
+  loadScripts([
+    "ArtworkConfig.js",
+    "MarkerRegistry.js",
+    "OpticalFlowTracker.js",
+    "HomographySmoother.js",
+    "HomographyValidator.js",
+    "MarkerFeatures.js",
+    "OpenCVObjectCounter.js",
+    "FeatureDetectors.js",
+    "FeaturePipeline.js",
+  ]);
+}
+
+// Read and validate <artworkName>/config.json like ArtworkConfig.load does over HTTP
+function loadArtworkConfig(artworkName) {
+  const ArtworkConfig = getGlobal("ArtworkConfig");
+  const configPath = path.join(REPOSITORY_ROOT, artworkName, "config.json");
+  const manifest = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  ArtworkConfig.validate(artworkName, manifest);
+  return new ArtworkConfig(artworkName, manifest);
+}
+
+// Settings for FeaturePipeline from the tuning of config.json
+// The defaults live in the ARFeatureMatcher constructor, which needs a browser, so every value must be set
+function getPipelineSettings(artworkConfig) {
+  const tuningSchema = getGlobal("ARTWORK_CONFIG_SCHEMA").properties.tuning;
+  const missing = Object.keys(tuningSchema.properties).filter(
+    (key) => artworkConfig.tuning[key] === undefined
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `${artworkConfig.artworkName}/config.json does not set tuning.${missing.join(", tuning.")}`
+    );
+  }
+  return { ...artworkConfig.tuning };
+}
+
+// Decode an image file into RGBA pixels ({ width, height, data }), scaled to width if given
+async function loadImageData(filePath, width = null) {
+  const { createCanvas, loadImage } = requireCanvas();
+  const image = await loadImage(fs.readFileSync(filePath));
+  const targetWidth = width || image.width;
+  const targetHeight = Math.round((image.height * targetWidth) / image.width);
+  const canvas = createCanvas(targetWidth, targetHeight);
+  const context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0, targetWidth, targetHeight);
+  const imageData = context.getImageData(0, 0, targetWidth, targetHeight);
+  return {
+    width: imageData.width,
+    height: imageData.height,
+    data: new Uint8ClampedArray(imageData.data),
+    sourceWidth: image.width,
+    sourceHeight: image.height,
+  };
+}
+
+// Image files of a directory in name order, so numbered frames come out in sequence
+function listImageFiles(directory) {
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((fileName) => path.join(directory, fileName));
+}
+
+// Every input frame as { label, imageData, sequenceStart }, scaled to the processing width
+// sequenceStart is false for a frame that continues the previous one: the frames of a video after
+// the first and, with imageSequences, the images of a folder after the first. Every other image is
+// a still of its own, which the pipeline has to process without the state of the previous one
+async function* readFrames(inputs, width, imageSequences = false) {
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      let imageNumber = 0;
+      for (const filePath of listImageFiles(input)) {
+        yield {
+          label: path.basename(filePath),
+          imageData: await loadImageData(filePath, width),
+          sequenceStart: !imageSequences || imageNumber++ === 0,
+        };
+      }
+    } else if (VIDEO_EXTENSIONS.includes(path.extname(input).toLowerCase())) {
+      let frameNumber = 0;
+      for await (const imageData of readVideoFrames(input, width)) {
+        yield { label: String(frameNumber), imageData, sequenceStart: frameNumber++ === 0 };
+      }
+    } else {
+      yield { label: path.basename(input), imageData: await loadImageData(input, width), sequenceStart: true };
+    }
+  }
+}
+
+// Decode every frame of a video to RGBA with ffmpeg
+async function* readVideoFrames(filePath, width) {
+  const [sourceWidth, sourceHeight] = execFileSync("ffprobe", [
+    "-v", "error",
+    "-select_streams", "v:0",
+    "-show_entries", "stream=width,height",
+    "-of", "csv=p=0",
+    filePath,
+  ])
+    .toString()
+    .trim()
+    .split(",")
+    .map(Number);
+  const height = Math.round((sourceHeight * width) / sourceWidth);
+  const frameSize = width * height * 4;
+
+  const ffmpeg = spawn("ffmpeg", [
+    "-v", "error",
+    "-i", filePath,
+    "-vf", `scale=${width}:${height}`,
+    "-f", "rawvideo",
+    "-pix_fmt", "rgba",
+    "-",
+  ]);
+  const exited = new Promise((resolve) => ffmpeg.on("close", resolve));
+
+  let pending = Buffer.alloc(0);
+  for await (const chunk of ffmpeg.stdout) {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= frameSize) {
+      yield {
+        width,
+        height,
+        data: new Uint8ClampedArray(pending.subarray(0, frameSize)),
+        sourceWidth,
+        sourceHeight,
+      };
+      pending = pending.subarray(frameSize);
+    }
+  }
+  const exitCode = await exited;
+  if (exitCode !== 0) {
+    throw new Error(`ffmpeg could not decode ${filePath} (exit code ${exitCode})`);
+  }
+}
+
+// Mean distance between two sets of four corners
+function calculateCornerError(corners, expectedCorners) {
+  let error = 0;
+  for (let k = 0; k < 8; k += 2) {
+    error += Math.hypot(corners[k] - expectedCorners[k], corners[k + 1] - expectedCorners[k + 1]);
+  }
+  return error / 4;
+}
+
+module.exports = {
+  REPOSITORY_ROOT,
+  IMAGE_EXTENSIONS,
+  VIDEO_EXTENSIONS,
+  requireCanvas,
+  loadOpenCV,
+  loadScripts,
+  getGlobal,
+  loadPipelineScripts,
+  loadArtworkConfig,
+  getPipelineSettings,
+  loadImageData,
+  listImageFiles,
+  readFrames,
+  calculateCornerError,
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Detects the features of artwork markers once, ahead of time, and writes them next to the marker
+// as marker.features.json, so the page does not have to run the detector on the marker image at startup.
+// Point config.json at the file with "markerFeatures": "marker.features.json".
+//
+// Usage:
+//   node tools/precompute-markers.js [<artwork>...]
+//
+// Without artworks every artwork in artworks.json is processed. Run it again whenever the marker
+// image, markerMask, tuning.featureDetector, tuning.featureDetectionSensitivity or tuning.referenceScales changes:
+// the page ignores features computed with other detector settings and falls back to detecting them itself.
+//
+// See headless.js for what needs to be installed.
+
+const fs = require("fs");
+const path = require("path");
+const headless = require("./headless");
+
+const FEATURES_FILE_NAME = "marker.features.json";
+
+async function precomputeMarker(artworkName) {
+  const FeaturePipeline = headless.getGlobal("FeaturePipeline");
+  const serializeMarkerFeatures = headless.getGlobal("serializeMarkerFeatures");
+
+  const artworkConfig = headless.loadArtworkConfig(artworkName);
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(headless.REPOSITORY_ROOT, artworkName, "config.json"), "utf8")
+  );
+  const referenceImageData = await headless.loadImageData(
+    path.join(headless.REPOSITORY_ROOT, artworkConfig.markerUrl)
+  );
+
+  const pipeline = new FeaturePipeline(headless.getPipelineSettings(artworkConfig));
+  try {
+    pipeline.addReference(
+      artworkName,
+      artworkConfig.name,
+      referenceImageData,
+      artworkConfig.smoothing,
+      artworkConfig.markerMask
+    );
+    const [marker] = pipeline.markerRegistry.markers;
+    const features = serializeMarkerFeatures(
+      marker,
+      pipeline.describeDetector(),
+      manifest.marker,
+      artworkConfig.markerMask
+    );
+
+    const featuresPath = path.join(headless.REPOSITORY_ROOT, artworkName, FEATURES_FILE_NAME);
+    fs.writeFileSync(featuresPath, JSON.stringify(features, null, 2) + "\n");
+    console.error(
+      `${path.relative(headless.REPOSITORY_ROOT, featuresPath)}: ` +
+        marker.levels.map((level) => `${level.keypoints.size()} keypoints at scale ${level.scale}`).join(", ")
+    );
+    if (manifest.markerFeatures !== FEATURES_FILE_NAME) {
+      console.error(`  add "markerFeatures": "${FEATURES_FILE_NAME}" to ${artworkName}/config.json to use it`);
+    }
+  } finally {
+    pipeline.delete();
+  }
+}
+
+async function main() {
+  let artworkNames = process.argv.slice(2);
+  if (artworkNames.length === 0) {
+    artworkNames = JSON.parse(
+      fs.readFileSync(path.join(headless.REPOSITORY_ROOT, "artworks.json"), "utf8")
+    ).artworks;
+  }
+
+  await headless.loadOpenCV();
+  headless.loadPipelineScripts();
+  for (const artworkName of artworkNames) {
+    await precomputeMarker(artworkName);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// Runs the AR pipeline headless on still images or a recorded video instead of the camera,
+// one frame after the other, and prints one JSON line per frame with the match counts,
+// quality indicators, homography and projected marker corners.
+// The frames of a video are processed as the camera stream they replace, with tracking and smoothing
+// carried over; every still image starts from a reset pipeline, see FeaturePipeline.reset.
+//
+// Usage:
+//   node tools/run-pipeline.js --artwork HolyKingdom[,LethalWeapon] [options] <input>...
+//
+// Inputs are image files, folders of images (processed in name order) or video files.
+// tools/fixtures/marker-images.truth.json holds the ground truth of the marker images in the repository:
+//   node tools/run-pipeline.js --artwork HolyKingdom,LethalWeapon --max-corner-error 10 \
+//     --truth tools/fixtures/marker-images.truth.json HolyKingdom/MarkerSmall.jpg "LethalWeapon/Marker Versions"
+// tools/check-fixtures.js runs this and the perspective-warped frames of tools/fixtures/frames.
+// Videos are decoded with ffmpeg and ffprobe, which have to be on the PATH.
+//
+// Options:
+//   --width <pixels>           Processing width, default tuning.minProcessingCanvasWidth
+//   --sequence                 The images of a folder are consecutive frames of one video, e.g. an
+//                              exported recording, instead of separate stills
+//   --truth <file.json>        Ground-truth marker corners in input pixels, by image file name
+//                              or, for videos, by frame number: { "small2.jpg": [x0, y0, ..., x3, y3] }
+//   --max-corner-error <px>    Exit with 1 if a frame with ground truth is missed or its corners
+//                              are further off than this on average
+//   --count-objects            Count the live OpenCV objects and print them with every frame,
+//                              to check that processing frames does not leak, see OpenCVObjectCounter.js
+//
+// See headless.js for what needs to be installed.
+
+const fs = require("fs");
+const path = require("path");
+const headless = require("./headless");
+
+function parseArguments(argv) {
+  const options = {
+    artworks: [],
+    width: null,
+    sequence: false,
+    truthPath: null,
+    maxCornerError: null,
+    countObjects: false,
+    inputs: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === "--artwork") {
+      options.artworks.push(...argv[++i].split(",").map((name) => name.trim()));
+    } else if (argument === "--width") {
+      options.width = parseInt(argv[++i], 10);
+    } else if (argument === "--sequence") {
+      options.sequence = true;
+    } else if (argument === "--truth") {
+      options.truthPath = argv[++i];
+    } else if (argument === "--max-corner-error") {
+      options.maxCornerError = parseFloat(argv[++i]);
+    } else if (argument === "--count-objects") {
+      options.countObjects = true;
+    } else if (argument.startsWith("--")) {
+      throw new Error(`Unknown option ${argument}`);
+    } else {
+      options.inputs.push(argument);
+    }
+  }
+  if (options.artworks.length === 0 || options.inputs.length === 0) {
+    throw new Error(
+      "Usage: node tools/run-pipeline.js --artwork <name>[,<name>] [--width <px>] [--sequence] " +
+        "[--truth <file.json>] [--max-corner-error <px>] [--count-objects] <image|folder|video>..."
+    );
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const truth = options.truthPath ? JSON.parse(fs.readFileSync(options.truthPath, "utf8")) : {};
+
+  await headless.loadOpenCV();
+  headless.loadPipelineScripts();
+  const FeaturePipeline = headless.getGlobal("FeaturePipeline");
+  const projectMarkerCorners = headless.getGlobal("projectMarkerCorners");
+
+  // Like in the page: the page-wide tuning of the first artwork, with a warning about the others, see
+  // ArtworkConfig.getPageTuning, and the detector settings of each artwork for its own marker
+  const artworkConfigs = options.artworks.map((name) => headless.loadArtworkConfig(name));
+  const settings = Object.assign(
+    headless.getPipelineSettings(artworkConfigs[0]),
+    headless.getGlobal("ArtworkConfig").getPageTuning(artworkConfigs)
+  );
+  settings.countOpenCVObjects = options.countObjects;
+  const width = options.width || settings.minProcessingCanvasWidth;
+
+  const pipeline = new FeaturePipeline(settings);
+  const markerSizes = new Map();
+  for (const artworkConfig of artworkConfigs) {
+    const referenceImageData = await headless.loadImageData(
+      path.join(headless.REPOSITORY_ROOT, artworkConfig.markerUrl)
+    );
+    pipeline.addReference(
+      artworkConfig.artworkName,
+      artworkConfig.name,
+      referenceImageData,
+      artworkConfig.smoothing,
+      artworkConfig.markerMask,
+      artworkConfig.tuning
+    );
+    markerSizes.set(artworkConfig.artworkName, referenceImageData);
+  }
+
+  let frameCount = 0;
+  let detectedCount = 0;
+  let failedCount = 0;
+  const frames = headless.readFrames(options.inputs, width, options.sequence);
+  for await (const { label, imageData, sequenceStart } of frames) {
+    if (sequenceStart) {
+      pipeline.reset();
+    }
+    const startTime = process.hrtime.bigint();
+    const result = pipeline.processFrame(imageData);
+    const timeMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+    // Marker corners in the pixels of the input, comparable between processing widths
+    let corners = null;
+    if (result.homography) {
+      const marker = markerSizes.get(result.markerId);
+      const scale = imageData.sourceWidth / imageData.width;
+      corners = projectMarkerCorners(result.homography, marker.width, marker.height).map(
+        (value) => value * scale
+      );
+      detectedCount++;
+    }
+
+    let cornerError;
+    if (truth[label]) {
+      cornerError = corners ? headless.calculateCornerError(corners, truth[label]) : null;
+      if (
+        options.maxCornerError !== null &&
+        (cornerError === null || cornerError > options.maxCornerError)
+      ) {
+        failedCount++;
+      }
+    }
+
+    console.log(
+      JSON.stringify({
+        frame: frameCount++,
+        input: label,
+        width: result.width,
+        height: result.height,
+        markerId: result.markerId,
+        tracking: result.tracking,
+        keypointCount: result.keypointCount,
+        goodMatchCount: result.goodMatchCount,
+        referenceScale: result.referenceScale,
+        trackedPointCount: result.trackedPointCount,
+        qualityIndicator: result.qualityIndicator,
+        averageQualityIndicator: result.averageQualityIndicator,
+        homography: result.homography,
+        corners: corners,
+        cornerError: cornerError,
+        timeMs: Math.round(timeMs * 10) / 10,
+        ...(options.countObjects && { openCVObjects: result.openCVObjects }),
+      })
+    );
+  }
+  pipeline.delete();
+
+  console.error(`${frameCount} frames, marker found in ${detectedCount}`);
+  if (failedCount > 0) {
+    console.error(`${failedCount} frames missed the ground truth by more than ${options.maxCornerError}px`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});